@@ -1,339 +1,490 @@
-import dotenv from 'dotenv';
+//settings are loaded and checked before anything else, a bad one stops the server here
+import { config } from './lib/config.js';
 import express from 'express';
-import path, { dirname } from 'path';
-import { fileURLToPath } from 'url';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import bcrypt from 'bcrypt';
-import pkg from 'pg';
 import fileUpload from 'express-fileupload';
-import { v2 as cloudinary} from 'cloudinary';
-
-dotenv.config();          
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const staticFilePath = '/assets';
+import { pool, withTransaction } from './db/pool.js';
+import { handleShutdown, refuseKeepAliveWhileShuttingDown } from './lib/shutdown.js';
+import { logger } from './lib/logger.js';
+import { hashToken, issueUserToken, findUserToken, consumeUserToken } from './lib/tokens.js';
+import { refreshTokenCookie, clearRefreshCookie, issueRefreshToken } from './lib/refreshTokens.js';
+import { sendVerificationEmail } from './lib/accountEmails.js';
+import { maxAvatarBytes, processAvatar, saveAvatar, deleteAvatar } from './lib/avatars.js';
+import { badRequest, validationFailed, unauthorized, forbidden, accountSuspended, notFound, conflict, tooManyRequests } from './lib/errors.js';
+import { string, boolean, integer, emailRule, usernameRule, passwordRule, skillNameRule } from './lib/validation.js';
+import { localStorageDirectory, localStorageRoute } from './lib/storage/index.js';
+import { lockedForMs, recordFailedSignin, clearFailedSignins } from './lib/signinAttempts.js';
+import { generateToken, authenticateToken, ownsRequest, requireTrustedOrigin } from './middleware/auth.js';
+import { asyncHandler, errorHandler, notFoundHandler } from './middleware/errors.js';
+import { validate } from './middleware/validate.js';
+import { sendConditional } from './middleware/conditional.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { requestLogger } from './middleware/requestLogger.js';
+import chatRoutes from './routes/chat.js';
+import accountRoutes from './routes/account.js';
+import userRoutes from './routes/users.js';
+import skillProposalRoutes from './routes/skillProposals.js';
+import adminRoutes from './routes/admin.js';
+import notificationRoutes from './routes/notifications.js';
+import sessionRoutes from './routes/sessions.js';
+import reviewRoutes from './routes/reviews.js';
+import blockRoutes from './routes/blocks.js';
+import reportRoutes from './routes/reports.js';
+import socialLinkRoutes from './routes/socialLinks.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import skillRoutes from './routes/skills.js';
+import healthRoutes from './routes/health.js';
+import { attachChatServer } from './lib/chat.js';
+import { notificationTypes, notify, withdrawNotifications, closeStreams } from './lib/notifications.js';
+import { cancelUpcomingSessions } from './lib/sessions.js';
+import { ratingSummary } from './lib/reviews.js';
+import { isBlockedBetween } from './lib/blocks.js';
+import { socialPlatforms, normalizeSocialLink, upsertSocialLinks } from './lib/socialLinks.js';
+import { signinChallengeLifetimeMs, verifySecondFactor, recoveryCodesLeft } from './lib/twoFactor.js';
+import { auditEvents, recordAudit } from './lib/audit.js';
+import { cacheKeys, cached, forgetProfile, forgetAllProfiles } from './lib/cache/index.js';
+import { skillLevels, levelError, skillRanking, setSkillRanking, profileSkills, skillCatalog } from './lib/skills.js';
+import {
+    renameCooldownDays, resolveUsername, usernameUnavailableReason, renameCooldownMs, recordRename
+} from './lib/usernames.js';
 
 const app = express();
-const { Client } = pkg;
-let clientConfig = {};
 
+//number of proxies in front of the app, so req.ip is the client's address that rate limits are keyed by
+app.set('trust proxy', config.trustProxy);
+
+app.use(refuseKeepAliveWhileShuttingDown);
+app.use(healthRoutes);
+//after the health checks so probes don't flood the log
+app.use(requestLogger);
 app.use(express.json());
+app.use(cookieParser());
 app.use(cors({ 
-    origin: process.env.NODE_ENV === 'production' ? 'https://skillswap-wxvl.onrender.com' : 'http://localhost:5173',
+    origin: config.corsOrigins,
     credentials: true 
 }));
-app.use(fileUpload());
-app.use(express.static('assets'));
-app.use(express.static(path.join(__dirname + staticFilePath)));
-
-if(process.env.NODE_ENV === 'production') {
-    clientConfig = { connectionString: process.env.DATABASE_URI };
-} else {
-    clientConfig = {
-        user: process.env.PGUSER,
-        password: process.env.PGPASSWORD,
-        host: process.env.PGHOST,
-        port: 5432,
-        database: process.env.PGDATABASE,
-        ssl: true
-    };
-};
-
-const client = new Client(clientConfig);
-client.connect()
-    .then(() => console.log('Connected to the database'))
-    .catch(err => console.error('Database connection failed:', err));
-
-cloudinary.config({
-    cloud_name: 'dmxg3taha',
-    api_key: '264187825832261',
-    api_secret: '_BazoZWF-ka3HerlTpBLBqhwD2M'
-});
-
-function generateToken(user) {
-    return jwt.sign({ user: user }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '1h' });
+app.use(fileUpload({ limits: { fileSize: maxAvatarBytes } }));
+//pictures saved by the local storage driver
+app.use(localStorageRoute, express.static(localStorageDirectory));
+
+//query parameters of every paginated listing
+const paginationQuery = {
+    page: integer({ label: 'Page', optional: true, min: 1, default: 1 }),
+    limit: integer({ label: 'Limit', optional: true, min: 1, max: 50, default: 10 })
 };
 
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    if(!token) return res.sendStatus(401);
-    jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err) => {
-        if(err) return res.status(403).json({ error: 'invalid token data' }); //forbidden
-        next();
-    });
-};
-
-//fetch all skills that current user has not already selected
-app.get('/api/unselected-skills', async(req, res) => {
+//fetch all skills that current user has not already selected.
+//the catalog is cached, only the user's own list is looked up on every call
+app.get('/api/unselected-skills', validate({
+    query: { username: string({ label: 'Username', optional: true }) }
+}), asyncHandler(async(req, res) => {
     const { username } = req.query;
 
-    try {
-        const result = await client.query(
-            `
-            SELECT
-                c.category, 
-                ARRAY_AGG(s.name ORDER BY s.name ASC) skills 
-            FROM 
-                categories c
-            JOIN 
-                categories_skills cs ON cs.category_id = c.id
-            JOIN 
-                skills s ON cs.skill_id = s.id  
-            WHERE 
-                s.id NOT IN (
-                    SELECT skill_id
-                    FROM users_skills
-                    WHERE user_id = (SELECT id FROM users WHERE username = $1)
-                )
-            GROUP BY c.category 
-            ORDER BY c.category     
-            `, [username]);
-            
-        if(result.rows.length === 0) {
-            res.status(404).json({ error: 'No data' });
-            return;
-        };
-
-        res.status(200).json({ data: result.rows });
-        } catch(err) {
-            console.error(err);
-        };
-});
-
-app.delete('/api/remove-skill', async(req, res) => {
-    const { username, skill} = req.query;
-
-    try{
-
-        let beforeCount;
-        let afterCount;
-
-        const countBeforeAdd = await client.query(`
-            SELECT COUNT(user_id)
-            FROM users_skills 
-            WHERE user_id = (SELECT id FROM users WHERE username = $1)`
-        , [username]);
-
-        //remove selected skill for current user from users_skills junction table
-        await client.query(
-            `
-            DELETE FROM 
-                users_skills 
-            WHERE 
-                skill_id = (SELECT id FROM skills WHERE name = $1)
-            AND 
-                user_id = (SELECT id FROM users WHERE username = $2)
-            `, [skill, username]
-        );
-
-        const countAfterAdd = await client.query(`
-            SELECT COUNT(user_id)
-            FROM users_skills 
-            WHERE user_id = (SELECT id FROM users WHERE username = $1)`
-        , [username]);
-        
-        //if before and after count are equal then no skill was deleted and something went wrong
-        beforeCount = countBeforeAdd.rows[0].count;
-        afterCount = countAfterAdd.rows[0].count;
-
-        if(beforeCount === afterCount) {
-            res.status(500).json({ message: 'something went wrong' });
-            return;
-        };
+    const selected = await pool.query(
+        `
+        SELECT s.name
+        FROM users_skills us
+        JOIN skills s ON s.id = us.skill_id
+        WHERE us.user_id = (SELECT id FROM users WHERE username = $1)
+        `, [username]);
+    const selectedNames = new Set(selected.rows.map(row => row.name));
 
-        res.status(200).json({ 
-            message: 'deletion succesful',
-            rowCount: afterCount
-        });
+    const data = (await skillCatalog())
+        .map(({ category, skills }) => ({ category, skills: skills.filter(skill => !selectedNames.has(skill)) }))
+        .filter(({ skills }) => skills.length > 0);
 
-    } catch(err) {
-        console.log('error removing skill: ', err);
+    if(data.length === 0) {
+        throw notFound('No skills left to add');
     };
-});
 
-//add a new skill to the users skill list
-app.post('/api/add-skill', async(req, res) => {
+    sendConditional(req, res, { data });
+}));
 
-    const { skill, username, toLearn } = req.body;
+app.delete('/api/remove-skill', authenticateToken, ownsRequest('username'), validate({
+    query: { skill: skillNameRule() }
+}), asyncHandler(async(req, res) => {
+    const { skill } = req.query;
+    const { id: userId } = req.user;
+
+    let beforeCount;
+    let afterCount;
+
+    const countBeforeAdd = await pool.query(`
+        SELECT COUNT(user_id)
+        FROM users_skills 
+        WHERE user_id = $1`
+    , [userId]);
+
+    //remove selected skill for current user from users_skills junction table
+    await pool.query(
+        `
+        DELETE FROM 
+            users_skills 
+        WHERE 
+            skill_id = (SELECT id FROM skills WHERE name = $1)
+        AND 
+            user_id = $2
+        `, [skill, userId]
+    );
+
+    const countAfterAdd = await pool.query(`
+        SELECT COUNT(user_id)
+        FROM users_skills 
+        WHERE user_id = $1`
+    , [userId]);
+    
+    //if before and after count are equal then the skill was never on the users list
+    beforeCount = countBeforeAdd.rows[0].count;
+    afterCount = countAfterAdd.rows[0].count;
 
-    try{
-        let lengthBefore;
-        let lengthAfter;
+    if(beforeCount === afterCount) {
+        throw notFound(`'${skill}' is not on your list`);
+    };
+    await forgetProfile(userId);
+    await recordAudit(req, { userId, event: auditEvents.skillRemoved, data: { skill } });
 
-        const resultBeforeAdd = await client.query(`
-            SELECT COUNT(user_id)
-            FROM users_skills 
-            WHERE user_id = (SELECT id FROM users WHERE username = $1)`
-        , [username]);
+    res.status(200).json({ 
+        message: 'deletion succesful',
+        rowCount: afterCount
+    });
 
-        // insert selected skill into users_skills junction table 
-        await client.query(
-            `
-            INSERT INTO users_skills (user_id, skill_id, is_learning, is_teaching)
-            VALUES (
-                (SELECT id FROM users WHERE username = $1),
-                (SELECT id FROM skills WHERE name = $2),
-                $3,
-                $4
-            )
-            `, [username, skill, toLearn, !toLearn]
-        );
+}));
 
-        const resultAfterAdd = await client.query(`
-            SELECT COUNT(user_id)
-            FROM users_skills 
-            WHERE user_id = (SELECT id FROM users WHERE username = $1)`
-        , [username]);
+//add a new skill to the users skill list. level is optional, targetLevel too when learning it
+app.post('/api/add-skill', authenticateToken, ownsRequest('username'), validate({
+    body: {
+        skill: skillNameRule(),
+        toLearn: boolean({ label: 'toLearn' }),
+        level: string({ label: 'Level', optional: true, default: null, oneOf: skillLevels }),
+        targetLevel: string({ label: 'Target level', optional: true, default: null, oneOf: skillLevels })
+    }
+}), asyncHandler(async(req, res) => {
 
-        lengthBefore = resultBeforeAdd.rows[0].count;
-        lengthAfter = resultAfterAdd.rows[0].count;
+    const { skill, toLearn, level, targetLevel } = req.body;
+    const { id: userId } = req.user;
+    if(targetLevel && !toLearn) {
+        throw validationFailed({ targetLevel: 'Only skills you are learning have a target level' });
+    };
+    const levelProblem = levelError(level, targetLevel);
+    if(levelProblem) throw validationFailed({ targetLevel: levelProblem });
+
+    let lengthBefore;
+    let lengthAfter;
+
+    const resultBeforeAdd = await pool.query(`
+        SELECT COUNT(user_id)
+        FROM users_skills 
+        WHERE user_id = $1`
+    , [userId]);
+
+    // insert selected skill into users_skills junction table 
+    await pool.query(
+        `
+        INSERT INTO users_skills (user_id, skill_id, is_learning, is_teaching, level, target_level)
+        VALUES (
+            $1,
+            (SELECT id FROM skills WHERE name = $2),
+            $3,
+            $4,
+            $5,
+            $6
+        )
+        ON CONFLICT DO NOTHING
+        `, [userId, skill, toLearn, !toLearn, level, targetLevel]
+    );
+
+    const resultAfterAdd = await pool.query(`
+        SELECT COUNT(user_id)
+        FROM users_skills 
+        WHERE user_id = $1`
+    , [userId]);
+
+    lengthBefore = resultBeforeAdd.rows[0].count;
+    lengthAfter = resultAfterAdd.rows[0].count;
+
+    // if length before and after variables are equal to eachother than the skill was already on the list
+    if(lengthBefore === lengthAfter) {
+        throw conflict(`'${skill}' is already on your list`);
+    };
+    await forgetProfile(userId);
+    await recordAudit(req, {
+        userId,
+        event: auditEvents.skillAdded,
+        data: { skill, side: toLearn ? 'learning' : 'teaching' }
+    });
 
-        // if length before and after variables are equal to eachother than something went wrong
-        if(lengthBefore === lengthAfter) {
-            res.status(500).json({ message: 'query did not execute' });
-            return;
-        };
+    //useLengthAfter to make re render states value more unique
+    res.status(200).json({ 
+        message: `'${skill}' has been added to your list`,
+        rowCount: lengthAfter
+    });
+}));
 
-        //useLengthAfter to make re render states value more unique
-        res.status(200).json({ 
-            message: `'${skill}' has been added to your list`,
-            rowCount: lengthAfter
-        });
-    } catch(err) {
-        console.error('Error adding skill: ', err);
-    };
+//limits per ip. an account is also locked for an address after repeated failed sign ins from it, see lib/signinAttempts.js
+const registerRateLimit = rateLimit({
+    name: 'register',
+    max: 10,
+    windowMs: 60 * 60 * 1000,
+    message: 'Too many sign ups from your network, try again later'
+});
+const signinRateLimit = rateLimit({
+    name: 'signin',
+    max: 30,
+    windowMs: 15 * 60 * 1000,
+    message: 'Too many sign in attempts from your network, try again later'
 });
 
-//create a new user
-app.post('/api/register', async(req, res) => {
+//compared against when the username doesn't exist, so unknown usernames take as long to reject as wrong passwords
+const unknownUserHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), config.bcryptCost);
 
-    const data = req.body;
+//create a new user
+app.post('/api/register', registerRateLimit, validate({
+    body: {
+        username: usernameRule(),
+        //a verification link is emailed, so the address has to at least look deliverable
+        email: emailRule({ label: 'Email' }),
+        password: passwordRule()
+    }
+}), asyncHandler(async(req, res) => {
 
-    try {   
-        
-        //initialize error object to store 409 conflict statuses
-        let newErrors = {};
+    const { username, email, password } = req.body;
 
-        //Set empty strings to null to let psql know they are null values.
-        for(const prop in data) {
-            if(data[prop] === '') {
-                data[prop] = null;
-            }
-        };
+    //initialize error object to store 409 conflict statuses
+    let newErrors = {};
 
-        //Updated values. PostgreSQL will not create the user if a value is null
-        const { username, email, password } = data;
+    //check db for existing username, including ones given up recently
+    const usernameProblem = await usernameUnavailableReason(username);
 
-        //check db for existing username
-        const existingUser = await client.query(`
+    //check db for existing email
+    const existingEmail = await pool.query(`
 
-            SELECT * FROM users
-            WHERE username = $1
+        SELECT * FROM users
+        WHERE LOWER(email) = $1 
 
-        `, [username]);
+    `, [email]);
 
-        //check db for existing email
-        const existingEmail = await client.query(`
+    if(usernameProblem) newErrors.username = usernameProblem;
+    if(existingEmail.rows.length > 0) newErrors.email = 'Email already exists';
 
-            SELECT * FROM users
-            WHERE email = $1 
+    if(Object.keys(newErrors).length > 0) {
+        throw conflict('That username or email is already in use', newErrors);
+    };
 
-        `, [email]);
+    const hashedPassword = await bcrypt.hash(password, config.bcryptCost);
+    //insert new user into postgreSQL database
+    const newUser = await pool.query(`
+        INSERT INTO users(username, email, password)
+        VALUES($1, $2, $3)
+        RETURNING id
+    `, [username, email, hashedPassword]);
+    await recordAudit(req, { userId: newUser.rows[0].id, event: auditEvents.registered });
+    //generate access and refresh tokens to pass to client side
+    const accessToken = generateToken(newUser.rows[0].id);
+    await issueRefreshToken(res, newUser.rows[0].id);
+    //the account works before the email is confirmed, so a mail outage shouldn't fail the sign up
+    sendVerificationEmail({ id: newUser.rows[0].id, username, email })
+        .catch(err => req.log.error('error sending verification email', { err }));
+    res.status(201).json({ 
+        message: `Welcome to Skill Swap ${username}`,
+        accessToken: accessToken,
+        username: username,
+        emailVerified: false
+    });
 
-        if(existingUser.rows.length > 0) newErrors.username = 'Username already exists';
-        if(existingEmail.rows.length > 0) newErrors.email = 'Email already exists';
+}));
 
-        if(Object.keys(newErrors).length > 0) {
-            res.status(409).json({ newErrors });
-            return;
-        };
+//login
+//start a session for a signed in user and answer with their profile. secrets never leave the server.
+//method is how the last step was passed: password, totp or recovery_code
+async function completeSignin(req, res, user, method, extra) {
+    await recordAudit(req, { userId: user.id, event: auditEvents.signinSucceeded, data: { method } });
+    const accessToken = generateToken(user.id);
+    await issueRefreshToken(res, user.id);
+    const { password, totp_secret, totp_last_step, ...profile } = user;
+    res.status(200).json({ ...profile, ...extra, accessToken: accessToken });
+};
 
-        const hashedPassword = await bcrypt.hash(password, 12);
-        //insert new user into postgreSQL database
-        await client.query(`
-            INSERT INTO users(username, email, password)
-            VALUES($1, $2, $3)
-        `, [username, email, hashedPassword]);
-        //generate access token to pass to client side
-        const accessToken = generateToken(username);
-        res.status(201).json({ 
-            message: `Welcome to Skill Swap ${username}`,
-            accessToken: accessToken,
-            username: username
+app.post('/api/signin', signinRateLimit, validate({
+    body: {
+        username: string({ label: 'Username' }),
+        password: string({ label: 'Password', trim: false })
+    }
+}), asyncHandler(async(req, res) => {
+    const { username, password } = req.body;
+    const lockedMs = await lockedForMs(username, req.ip);
+    if(lockedMs > 0) {
+        throw tooManyRequests('Too many failed sign in attempts, try again later', lockedMs);
+    };
+    //retrieve requested username from the postgreSQL db
+    const existingUser = await pool.query(
+        `
+         SELECT * FROM users u WHERE u.username = $1
+        `, [username]
+    );
+    const user = existingUser.rows[0];
+    const match = await bcrypt.compare(password, user ? user.password : await unknownUserHash);
+    //the same message either way, saying which one was wrong would confirm the username exists
+    if(!user || !match) {
+        if(user) await recordAudit(req, { userId: user.id, event: auditEvents.signinFailed, data: { reason: 'password' } });
+        const delayMs = await recordFailedSignin(username, req.ip);
+        if(delayMs > 0) await sleep(delayMs);
+        throw unauthorized('Incorrect username or password');
+    };
+    await clearFailedSignins(username, req.ip);
+    //only said once the password is right, so it can't be used to probe other accounts
+    if(user.suspended_at) throw accountSuspended();
+    await pool.query(
+        `
+        SELECT ARRAY_AGG(DISTINCT username) sent_requests FROM users u
+        JOIN match_requests mr ON mr.u_id1 = $1
+        WHERE mr.u_id2 = u.id
+        `, [user.id]
+    );
+    //the password alone isn't enough, the client swaps the challenge and a code at /api/signin/2fa
+    if(user.totp_enabled_at) {
+        const challengeToken = await issueUserToken(user.id, 'signin_challenge', signinChallengeLifetimeMs);
+        return res.status(200).json({
+            twoFactorRequired: true,
+            challengeToken: challengeToken,
+            expiresInSeconds: signinChallengeLifetimeMs / 1000
         });
+    };
+    await completeSignin(req, res, user, 'password');
+}));
 
-    } catch(err) {
-        console.error('error: ', err.stack);
+//second step of signing in with 2fa. code is from the authenticator app or one of the recovery codes
+app.post('/api/signin/2fa', signinRateLimit, validate({
+    body: {
+        challengeToken: string({ label: 'Challenge token', trim: false }),
+        code: string({ label: 'Code', max: 20 })
     }
-});
+}), asyncHandler(async(req, res) => {
+    const { challengeToken, code } = req.body;
+    const userId = await findUserToken(challengeToken, 'signin_challenge');
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+    if(!user || !user.totp_enabled_at) {
+        throw unauthorized('This sign in has expired, please enter your password again');
+    };
+    const lockedMs = await lockedForMs(user.username, req.ip);
+    if(lockedMs > 0) {
+        throw tooManyRequests('Too many failed sign in attempts, try again later', lockedMs);
+    };
+    const method = await verifySecondFactor(user, code);
+    if(!method) {
+        await recordAudit(req, { userId: user.id, event: auditEvents.signinFailed, data: { reason: 'second_factor' } });
+        const delayMs = await recordFailedSignin(user.username, req.ip);
+        if(delayMs > 0) await sleep(delayMs);
+        throw unauthorized('Incorrect code', { code: 'Incorrect code' });
+    };
+    //only a correct code uses the challenge up, so a typo doesn't mean entering the password again
+    if(!await consumeUserToken(challengeToken, 'signin_challenge')) {
+        throw unauthorized('This sign in has expired, please enter your password again');
+    };
+    await clearFailedSignins(user.username, req.ip);
+    if(user.suspended_at) throw accountSuspended();
+    //recovery codes run out, the client can suggest making new ones
+    const extra = method === 'recovery_code' ? { recoveryCodesLeft: await recoveryCodesLeft(user.id) } : {};
+    await completeSignin(req, res, user, method, extra);
+}));
 
-//login
-app.post('/api/signin', async(req, res) => {
-    const { username, password } = req.body;
-    try {
-        //initialize error object to store incorrect data errors
-        let newErrors = {};
-        //retrieve requested username from the postgreSQL db
-        const existingUser = await client.query(
-            `
-             SELECT * FROM users u WHERE u.username = $1
-            `, [username]
-        );
-        const user = existingUser.rows[0];
-        if(!user) {
-            newErrors.username = 'Incorrect username';
-        } else {
-            const match = await bcrypt.compare(password, user.password);
-            if(!match) {
-                newErrors.password = 'Incorrect password';
-            };
-        };
-        console.log(newErrors)
-        if(Object.keys(newErrors).length > 0) {
-            res.status(401).json({ newErrors });
-            return;
-        };  
-        await client.query(
-            `
-            SELECT ARRAY_AGG(DISTINCT username) sent_requests FROM users u
-            JOIN match_requests mr ON mr.u_id1 = (SELECT id FROM users WHERE username = $1)
-            WHERE mr.u_id2 = u.id
-            `, [username]
-        );
-        const accessToken = generateToken(username);
-        res.status(200).json({ ...user, accessToken: accessToken });
-    } catch(err) {
-        console.error('error!: ', err);
+//exchange a valid refresh token for a new access token. the refresh token is rotated on every use
+app.post('/api/refresh', requireTrustedOrigin, asyncHandler(async(req, res) => {
+    const token = req.cookies[refreshTokenCookie];
+    if(!token) throw unauthorized('No refresh token');
+    const result = await pool.query(
+        `
+        SELECT rt.id, rt.user_id, rt.family_id, rt.revoked_at, rt.expires_at < NOW() AS expired, u.username
+        FROM refresh_tokens rt
+        JOIN users u ON u.id = rt.user_id
+        WHERE rt.token_hash = $1
+        `, [hashToken(token)]
+    );
+    const storedToken = result.rows[0];
+    if(!storedToken) {
+        clearRefreshCookie(res);
+        throw unauthorized('Invalid refresh token');
     };
-});
+    //an already rotated token is being replayed. assume it was stolen and kill the whole family
+    if(storedToken.revoked_at) {
+        await pool.query('DELETE FROM refresh_tokens WHERE family_id = $1', [storedToken.family_id]);
+        clearRefreshCookie(res);
+        throw unauthorized('Refresh token reuse detected, please sign in again');
+    };
+    if(storedToken.expired) {
+        await pool.query('DELETE FROM refresh_tokens WHERE id = $1', [storedToken.id]);
+        clearRefreshCookie(res);
+        throw unauthorized('Your session has expired, please sign in again');
+    };
+    //mark the old token as used only if nobody beat us to it
+    const rotated = await pool.query(
+        `
+        UPDATE refresh_tokens SET revoked_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL
+        `, [storedToken.id]
+    );
+    if(rotated.rowCount === 0) {
+        await pool.query('DELETE FROM refresh_tokens WHERE family_id = $1', [storedToken.family_id]);
+        clearRefreshCookie(res);
+        throw unauthorized('Refresh token reuse detected, please sign in again');
+    };
+    const newTokenId = await issueRefreshToken(res, storedToken.user_id, storedToken.family_id);
+    await pool.query('UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2', [newTokenId, storedToken.id]);
+    res.status(200).json({ 
+        accessToken: generateToken(storedToken.user_id),
+        username: storedToken.username
+    });
+}));
 
 //logout
-app.post('/api/signout', async(req, res) => {
-    //BLOCKED
-    // const token = req.cookies.refreshToken;
-    try{
-
-        //BLOCKED
-        //Remove refresh token from db
-        // await client.query('DELETE FROM refresh_tokens WHERE token = $1', [token]);
-        // res.clearCookie('refreshToken');
+app.post('/api/signout', requireTrustedOrigin, asyncHandler(async(req, res) => {
+    const token = req.cookies[refreshTokenCookie];
+    //remove every token issued for this sign in from the db
+    if(token) {
+        await pool.query(
+            `
+            DELETE FROM refresh_tokens
+            WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+            `, [hashToken(token)]
+        );
+    };
+    clearRefreshCookie(res);
+    res.status(204).send();
+}));
 
-        res.status(204).send();
-    } catch(err) {
-        console.err('sign out error: ', err);
-        res.status(500).json({ error: 'internal server error' });
+//logout of every device by revoking all refresh tokens belonging to the user
+app.post('/api/signout-all', requireTrustedOrigin, asyncHandler(async(req, res) => {
+    const token = req.cookies[refreshTokenCookie];
+    if(!token) throw unauthorized('No refresh token');
+    const result = await pool.query(
+        `
+        DELETE FROM refresh_tokens
+        WHERE user_id = (
+            SELECT user_id FROM refresh_tokens 
+            WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        )
+        RETURNING user_id
+        `, [hashToken(token)]
+    );
+    clearRefreshCookie(res);
+    if(result.rowCount === 0) {
+        throw unauthorized('Invalid refresh token');
     };
-});
+    await recordAudit(req, { userId: result.rows[0].user_id, event: auditEvents.signedOutEverywhere });
+    res.status(204).send();
+}));
+
+const profileTtlMs = 5 * 60 * 1000;
 
-//get matched profile data
-app.get('/api/profile', authenticateToken, async(req, res) => {
-    const selectedUser = req.query.selectedUser;
-    try {
-        // Return all necessary details for selected matched profile
-        const result = await client.query(
+//the parts of a user's profile that are the same whoever looks at it, null for suspended users.
+//socials has every link with its visibility. cached until a write that changes it calls forgetProfile
+function loadProfile(userId) {
+    return cached(cacheKeys.profile(userId), profileTtlMs, async() => {
+        const result = await pool.query(
             `
             SELECT 
                 TO_CHAR(u.created_at, 'YYYY,MON') created_at, 
@@ -345,9 +496,9 @@ app.get('/api/profile', authenticateToken, async(req, res) => {
                 COALESCE(ARRAY_AGG(DISTINCT s.name) FILTER (WHERE us.is_learning = true), ARRAY['No skills to teach']) AS skills_to_learn,
                 COALESCE(ARRAY_AGG(DISTINCT s.name) FILTER (WHERE us.is_teaching = true), ARRAY['No skills to teach']) AS skills_to_teach
             FROM users u
-            LEFT JOIN users_skills us ON us.user_id = (SELECT id FROM users WHERE username = $1)
+            LEFT JOIN users_skills us ON us.user_id = u.id
             LEFT JOIN skills s ON s.id = us.skill_id
-            WHERE username = $1
+            WHERE u.id = $1 AND u.suspended_at IS NULL
             GROUP BY 
                 created_at, 
                 u.email, 
@@ -355,14 +506,9 @@ app.get('/api/profile', authenticateToken, async(req, res) => {
                 u.phone_number, 
                 u.description, 
                 u.username
-        `, [selectedUser]);
-        //return all platform links associated with the selected user
-        const socials = await client.query(`
-            SELECT platform, url FROM social_links
-            WHERE user_id = (SELECT id FROM users WHERE username = $1)
-            `, [selectedUser]
-        );
+        `, [userId]);
         const profileData = result.rows[0];
+        if(!profileData) return null;
         //ensure arrays do not return null
         for(const prop in profileData) {
             if(prop === 'skills_to_learn' || prop === 'skills_to_teach') {
@@ -371,277 +517,563 @@ app.get('/api/profile', authenticateToken, async(req, res) => {
                 };
             };
         };
-        //append  socials results to response body inside the socials key
-        res.status(200).json({ profileData: { ...profileData, socials: socials.rows } });
-    } catch(err) {
-        console.error(err);
-    };
-});
-
-//fetch all requests associated with a user. Pitched and Recieved
-app.get('/api/fetch-requests', authenticateToken, async(req, res) => {
-    const username = req.query.user;
-    try{
-        const sentRequests = []; 
-        const recievedRequests = []; 
-        const userIdQuery = await client.query(`SELECT id FROM users WHERE username = $1`, [username]);
-        if (userIdQuery.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
-        };
-        const userId = userIdQuery.rows[0].id;
-        const sentRequestsQuery = await client.query(
-            `
-            SELECT ARRAY_AGG(DISTINCT username) FROM users u
-            JOIN match_requests mr ON mr.u_id1 = $1
-            WHERE mr.u_id2 = u.id
-            `, [userId]
-        );
-        const recievedRequestsQuery = await client.query(
-            `
-            SELECT ARRAY_AGG(DISTINCT username) FROM users u
-            JOIN match_requests mr ON mr.u_id2 = $1
-            WHERE mr.u_id1 = u.id
-            `, [userId]
+        const socials = await pool.query(
+            'SELECT platform, url, visibility FROM social_links WHERE user_id = $1 ORDER BY position, id', [userId]
         );
-        //push the query results into array for readability and passing into res data
-        if(sentRequestsQuery.rows[0].array_agg) {
-            sentRequests.push(...sentRequestsQuery.rows[0].array_agg);
-        };
-        if(recievedRequestsQuery.rows[0].array_agg) {
-            recievedRequests.push(...recievedRequestsQuery.rows[0].array_agg);
+        return {
+            ...profileData,
+            socials: socials.rows,
+            skills: await profileSkills(userId),
+            ratings: await ratingSummary(userId)
         };
-        res.status(200).json({ 
-            sentRequests: sentRequests,
-            recievedRequests: recievedRequests
-         });
-    } catch(err) {
-        console.error(err);
-    };
-});
-
-app.post('/api/unmatch', authenticateToken, async(req, res) => {
-    const { selectedUser, user } = req.body;
-    console.log(selectedUser + ' ' + user);
-    try {
-        // delete relationship between the 2 selected users from the matches table
-        await client.query(
-            `
-            DELETE FROM matches 
-            WHERE 
-                (user_id = (SELECT id FROM users WHERE username = $1)
-                AND 
-                match_id = (SELECT id FROM users WHERE username = $2))
-            OR  
-                (user_id = (SELECT id FROM users WHERE username = $2)
-                AND 
-                match_id = (SELECT id FROM users WHERE username = $1))
-            `, [selectedUser, user]
-        );
+    });
+};
 
-        //check if deletion fired
-        const results = await client.query(
-            `
-            SELECT * FROM matches
-            WHERE 
-                (user_id = (SELECT id FROM users WHERE username = $1)
-                AND 
-                match_id = (SELECT id FROM users WHERE username = $2))
-            OR  
-                (user_id = (SELECT id FROM users WHERE username = $2)
-                AND 
-                match_id = (SELECT id FROM users WHERE username = $1))
-            `, [selectedUser, user]
-        );
+//get matched profile data. a username the user gave up recently still finds them,
+//redirectTo then has the current one so the client can update its url.
+//sent with an etag, a client sending it back gets a 304 while the profile is unchanged
+app.get('/api/profile', authenticateToken, validate({
+    query: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const resolved = await resolveUsername(req.query.selectedUser);
+    const selectedUser = resolved ? resolved.username : req.query.selectedUser;
+    //blocked and suspended users look the same as users that don't exist
+    if(resolved && await isBlockedBetween(req.user.id, resolved.id)) {
+        throw notFound(`${selectedUser} does not exist`);
+    };
+    // Return all necessary details for selected matched profile
+    const profile = resolved && await loadProfile(resolved.id);
+    if(!profile) {
+        throw notFound(`${selectedUser} does not exist`);
+    };
+    //matches only links need the viewer to be them or a match
+    let socials = profile.socials.filter(link => link.visibility === 'public');
+    if(socials.length < profile.socials.length) {
+        const canSeeAll = resolved.id === req.user.id || (await pool.query(
+            'SELECT 1 FROM matches WHERE user_id = $1 AND match_id = $2', [resolved.id, req.user.id]
+        )).rows.length > 0;
+        if(canSeeAll) socials = profile.socials;
+    };
+    //skills has both lists in priority order with levels and endorsements, the two name lists are kept for older clients
+    sendConditional(req, res, {
+        profileData: { ...profile, socials },
+        ...(resolved.renamedFrom && { redirectTo: selectedUser })
+    });
+}));
 
-        if(results.rows.length > 0) {
-            res.sendStatus(404);
-            return;
-        };
+//fetch all requests associated with a user. Pitched and Recieved
+app.get('/api/fetch-requests', authenticateToken, ownsRequest('user'), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const sentRequests = []; 
+    const recievedRequests = []; 
+    const sentRequestsQuery = await pool.query(
+        `
+        SELECT ARRAY_AGG(DISTINCT username) FROM users u
+        JOIN match_requests mr ON mr.u_id1 = $1
+        WHERE mr.u_id2 = u.id
+        `, [userId]
+    );
+    const recievedRequestsQuery = await pool.query(
+        `
+        SELECT ARRAY_AGG(DISTINCT username) FROM users u
+        JOIN match_requests mr ON mr.u_id2 = $1
+        WHERE mr.u_id1 = u.id
+        `, [userId]
+    );
+    //push the query results into array for readability and passing into res data
+    if(sentRequestsQuery.rows[0].array_agg) {
+        sentRequests.push(...sentRequestsQuery.rows[0].array_agg);
+    };
+    if(recievedRequestsQuery.rows[0].array_agg) {
+        recievedRequests.push(...recievedRequestsQuery.rows[0].array_agg);
+    };
+    res.status(200).json({ 
+        sentRequests: sentRequests,
+        recievedRequests: recievedRequests
+     });
+}));
 
-        res.status(200).json({ message: 'deleted' });
-    } catch(err) {
-        console.error(err)
+app.post('/api/unmatch', authenticateToken, ownsRequest('user'), validate({
+    body: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const { selectedUser } = req.body;
+    // delete relationship between the 2 selected users from the matches table
+    const result = await pool.query(
+        `
+        DELETE FROM matches 
+        WHERE 
+            (user_id = (SELECT id FROM users WHERE username = $1)
+            AND 
+            match_id = $2)
+        OR  
+            (user_id = $2
+            AND 
+            match_id = (SELECT id FROM users WHERE username = $1))
+        RETURNING user_id
+        `, [selectedUser, req.user.id]
+    );
+
+    //nothing deleted means the two users were never matched
+    if(result.rowCount === 0) {
+        throw notFound(`You are not matched with ${selectedUser}`);
     };
-});
+    const partnerId = result.rows.find(row => row.user_id !== req.user.id).user_id;
+    await recordAudit(req, { userId: req.user.id, event: auditEvents.unmatched, data: { partner: selectedUser } });
+    await cancelUpcomingSessions(req.user.id, partnerId, 'No longer matched');
+    await notify({ recipient: partnerId, actor: req.user.id, type: notificationTypes.matchRemoved });
+
+    res.status(200).json({ message: 'deleted' });
+}));
 
-app.post('/api/edit-profile', async(req, res) => {
+app.post('/api/edit-profile', authenticateToken, ownsRequest('currentUsername'), validate({
+    body: {
+        newUsername: usernameRule({ optional: true }),
+        newDescription: string({ label: 'Description', optional: true, max: 500 }),
+        //one link at a time, /api/social-links manages several
+        platform: string({ label: 'Platform', optional: true, oneOf: Object.keys(socialPlatforms) }),
+        linkToPlatform: string({ label: 'Link', optional: true, max: 2048 })
+    }
+}), asyncHandler(async(req, res) => {
     const {
-        currentUsername,
         newUsername,
         newDescription,
         linkToPlatform,
         platform,
     } = req.body;
-
-    try { 
-        let imgFile;
-        let imgPath;
-        let uploadPath;
-        //array to dynamically build update queries
-        let usersUpdates = [];
-
-        //check if new username is already in use
-        const existingUsername = await client.query(
-            `
-            SELECT * FROM users WHERE username = $1
-            `, [newUsername || '']
-        );
-
-        //prevent conflicting usernames
-        if(existingUsername.rows.length > 0) {
-            res.status(409).json({ message: `Username of: ${newUsername} already exists`});
-            return;
+    const currentUsername = req.user.username;
+    const userId = req.user.id;
+    const renaming = Boolean(newUsername) && newUsername !== currentUsername;
+
+    let socialLink = null;
+    if(platform) {
+        if(!linkToPlatform) {
+            throw validationFailed({ linkToPlatform: `Add a link to your ${socialPlatforms[platform].label} profile` });
         };
+        const normalized = normalizeSocialLink(platform, linkToPlatform);
+        if(normalized.error) throw validationFailed({ linkToPlatform: normalized.error });
+        socialLink = { platform, url: normalized.value };
+    };
 
-        if(platform) {
-            const exsistingPlatform = await client.query(`
-                SELECT * FROM social_links WHERE platform = $1 AND user_id = (SELECT id FROM users WHERE username = $2)
-                `, [platform, currentUsername]
-            );
-    
-            //make an insert if there is no link to platform
-            if(exsistingPlatform.rows.length === 0) {
-                console.log('inserting into social_links table: ', platform, linkToPlatform);
-                await client.query(`
-                    INSERT INTO social_links(user_id, platform, url)
-                    VALUES(
-                        (SELECT id FROM users WHERE username = $1),
-                        $2,
-                        $3 
-                    );
-                `, [currentUsername, platform, linkToPlatform]);
-            };
-        
-            //if the user has a link pointing to an existing platform then update the platforms link
-            if(exsistingPlatform.rows.length > 0) {
-                await client.query(
-                    `UPDATE social_links
-                     SET url = $1
-                     WHERE user_id = (SELECT id FROM users WHERE username = $2)
-                     AND platform = $3
-                    `, [linkToPlatform, currentUsername, platform]
-                );
-            };
-        };
+    //arrays to dynamically build update queries.
+    //values are always passed as parameters so nothing sent by the client ends up in the sql itself
+    let usersUpdates = [];
+    let usersValues = [userId];
 
-        let uploadedImageUrl = null;
-
-        if(req.files && req.files.imgFile) {
-            imgFile = req.files.imgFile;
-            imgPath = Date.now() + imgFile.name;
-            const removedFormatImgPath = imgPath.slice(0, imgPath.lastIndexOf('.'));
-            // //define path to move file to
-            // //use date dot now to prevent conflicting file names
-            uploadPath = __dirname + staticFilePath + '/' + imgPath;
-
-            await new Promise((resolve, reject) => {
-                imgFile.mv(uploadPath, (err) => {
-                    if(err) {
-                        console.log('error uploading file');
-                        reject(err);
-                    } else {
-                        resolve();
-                    };
-                });
-            });
-
-            try {
-                const result = await cloudinary.uploader.upload(uploadPath, { public_id: removedFormatImgPath });
-                uploadedImageUrl = result.secure_url;
-                console.log('Cloudinary Upload URL:', uploadedImageUrl);
-                usersUpdates.push(`profile_picture = '${uploadedImageUrl}'`);
-            } catch(err) {
-                console.error('Cloudinary upload error: ', err);
-            };
+    //prevent conflicting usernames and names other users gave up recently, and limit how often names change
+    if(renaming) {
+        const usernameProblem = await usernameUnavailableReason(newUsername, userId);
+        if(usernameProblem) {
+            throw conflict(`Username of: ${newUsername} is not available`, { newUsername: usernameProblem });
         };
-    
-        //updates for users table
-        newUsername ? usersUpdates.push(`username = '${newUsername}'`) : usersUpdates.push(`username = $1`);
-        newDescription && usersUpdates.push(`description = '${newDescription}'`);
-    
-        //if no file is uploaded select the current profile picture to return.
-        //to prevent no picture being displayed.
-        let currentProfilePicture;
-    
-        if(!req.files || !req.files.imgFile) {
-            const result = await client.query(`SELECT profile_picture FROM users WHERE username = $1`, [currentUsername]);
-            currentProfilePicture = result.rows[0]?.profile_picture || '';
+        const cooldownMs = await renameCooldownMs(userId);
+        if(cooldownMs > 0) {
+            throw tooManyRequests(`Usernames can only be changed once every ${renameCooldownDays} days`, cooldownMs);
         };
-    
-        //apply updated data to user
-        await client.query(        
+    };
+
+    //validate and resize the upload before anything is written
+    let resizedAvatar = null;
+    if(req.files && req.files.imgFile) {
+        resizedAvatar = await processAvatar(req.files.imgFile);
+    };
+
+    if(socialLink) {
+        //a single statement, no transaction needed
+        await upsertSocialLinks(pool, userId, [socialLink]);
+    };
+
+    let uploadedImageUrl = null;
+    let uploadedImageSizes = null;
+
+    let previousPictureKey = null;
+
+    if(resizedAvatar) {
+        const userResult = await pool.query(`SELECT profile_picture_key FROM users WHERE id = $1`, [userId]);
+        previousPictureKey = userResult.rows[0].profile_picture_key;
+        const avatar = await saveAvatar(userId, resizedAvatar);
+        uploadedImageUrl = avatar.urls.large;
+        uploadedImageSizes = avatar.urls;
+        usersValues.push(uploadedImageUrl);
+        usersUpdates.push(`profile_picture = $${usersValues.length}`);
+        usersValues.push(avatar.key);
+        usersUpdates.push(`profile_picture_key = $${usersValues.length}`);
+        usersValues.push(JSON.stringify(avatar.urls));
+        usersUpdates.push(`profile_picture_sizes = $${usersValues.length}`);
+    };
+
+    //updates for users table
+    if(renaming) {
+        usersValues.push(newUsername);
+        usersUpdates.push(`username = $${usersValues.length}`);
+    } else {
+        usersUpdates.push(`username = username`);
+    };
+    if(newDescription) {
+        usersValues.push(newDescription);
+        usersUpdates.push(`description = $${usersValues.length}`);
+    };
+
+    //if no file is uploaded select the current profile picture to return.
+    //to prevent no picture being displayed.
+    let currentProfilePicture;
+
+    if(!resizedAvatar) {
+        const result = await pool.query(`SELECT profile_picture FROM users WHERE id = $1`, [userId]);
+        currentProfilePicture = result.rows[0]?.profile_picture || '';
+    };
+
+    //apply updated data to user. the old username is kept so links to it still lead here for a while
+    await withTransaction(async(client) => {
+        await client.query(
             `
             UPDATE users
             SET ${usersUpdates.join(', ')}
-            WHERE username = $1
-            `, [currentUsername]
+            WHERE id = $1
+            `, usersValues
         );
+        if(renaming) await recordRename(client, userId, currentUsername, newUsername);
+    });
 
-        const newSocials = await client.query(
-            `SELECT * FROM social_links WHERE user_id = (SELECT id FROM users WHERE username = $1)`, [currentUsername]
-        );
-    
-        res.json({ 
-            img: imgPath ? uploadedImageUrl : currentProfilePicture,
-            newSocials: newSocials.rows,
-            newUsername: newUsername || currentUsername          
+    const changed = [
+        renaming && 'username',
+        newDescription && 'description',
+        resizedAvatar && 'profile_picture',
+        socialLink && 'social_links'
+    ].filter(Boolean);
+    if(changed.length > 0) {
+        //endorsements on other profiles list the user by name, so a new one has to reach those too
+        await (renaming ? forgetAllProfiles() : forgetProfile(userId));
+        await recordAudit(req, {
+            userId,
+            event: auditEvents.profileUpdated,
+            data: { changed, ...(renaming && { previousUsername: currentUsername }) }
         });
-    } catch(err) {
-        console.error(err);
-        res.status(500).json({ message: 'Unexpected error occured' });
-        return;
     };
-});
 
-app.put('/api/update-priority-skill', async(req, res) => {
+    //the old picture is only removed once the new one is saved against the user
+    if(previousPictureKey) {
+        deleteAvatar(previousPictureKey)
+            .catch(err => req.log.error('error deleting previous profile picture', { err }));
+    };
+
+    const newSocials = await pool.query(
+        `SELECT * FROM social_links WHERE user_id = $1 ORDER BY position, id`, [userId]
+    );
+
+    res.json({ 
+        img: uploadedImageUrl || currentProfilePicture,
+        ...(uploadedImageSizes && { imgSizes: uploadedImageSizes }),
+        newSocials: newSocials.rows,
+        newUsername: newUsername || currentUsername
+    });
+}));
+
+//apply change to the user's current ranking of one side and save the result
+async function reorderPriorities(userId, side, change) {
+    const ranking = await withTransaction(async(client) => {
+        await setSkillRanking(client, userId, side, change(await skillRanking(client, userId, side)));
+        return skillRanking(client, userId, side);
+    });
+    await forgetProfile(userId);
+    return ranking;
+};
+
+//make skill the first priority of its side, the rest of the ranking moves down one.
+//PUT /api/skills/priorities/:side sets the whole order at once
+app.put('/api/update-priority-skill', authenticateToken, ownsRequest('user'), validate({
+    body: {
+        skill: skillNameRule(),
+        isToLearn: boolean({ label: 'isToLearn' })
+    }
+}), asyncHandler(async(req, res) => {
     const {
-        user,
         skill,
         isToLearn, //determines if setting a priority skill to learn or teach
     } = req.body;
-    try {
-        const priorityType = isToLearn ? 'skill_to_learn_priority_id' : 'skill_to_teach_priority_id';
-        await client.query(
-            `UPDATE users_skills
-             SET ${priorityType} = (SELECT id FROM skills WHERE name = $2)
-             WHERE user_id = (SELECT id FROM users WHERE username = $1)`, [user, skill]
-        );
-        res.status(200).json({ message: 'successfully updated' });
-    } catch(err) {
-        console.error(err);
-    };
-}); 
+    const userId = req.user.id;
+    const side = isToLearn ? 'learning' : 'teaching';
+    const ranking = await reorderPriorities(userId, side, ranking => [skill, ...ranking.filter(name => name !== skill)]);
+    await recordAudit(req, { userId, event: auditEvents.prioritySkillChanged, data: { side, skills: ranking } });
+    res.status(200).json({ message: 'successfully updated', priorities: ranking });
+}));
 
-app.delete('/api/unprioritize-skill', async(req, res) => {
-    const { user, skill, isToLearn } = req.body;
-    try {
-        const priorityType = isToLearn ? 'skill_to_learn_priority_id' : 'skill_to_teach_priority_id';
-        await client.query(
-            `UPDATE users_skills
-             SET ${priorityType} = NULL
-             WHERE user_id = (SELECT id FROM users WHERE username = $1)`, [user]
-        );
-        res.status(200).json({ message: skill + 'unprioritized' })
-    } catch(err) {
-        console.error(err);
+//take skill out of the ranking of its side, or clear the whole ranking when no skill is sent
+app.delete('/api/unprioritize-skill', authenticateToken, ownsRequest('user'), validate({
+    body: {
+        skill: string({ label: 'Skill', optional: true, default: '' }),
+        isToLearn: boolean({ label: 'isToLearn' })
+    }
+}), asyncHandler(async(req, res) => {
+    const { skill, isToLearn } = req.body;
+    const userId = req.user.id;
+    const side = isToLearn ? 'learning' : 'teaching';
+    const ranking = await reorderPriorities(userId, side, ranking => skill ? ranking.filter(name => name !== skill) : []);
+    await recordAudit(req, { userId, event: auditEvents.prioritySkillChanged, data: { side, skills: ranking } });
+    res.status(200).json({ message: skill + 'unprioritized', priorities: ranking })
+}));
+
+app.delete('/api/remove-all-match-requests', authenticateToken, ownsRequest('username'), asyncHandler(async(req, res) => {
+    await pool.query(
+        `
+        DELETE FROM match_requests 
+        WHERE u_id1 = $1
+        `, [req.user.id]
+    );
+    res.status(200).json({ message: 'removed all sent requests' });
+}));
+
+//send a match request from the current user to the selected user
+app.post('/api/send-match-request', authenticateToken, validate({
+    body: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const { selectedUser } = req.body;
+    const { id: senderId, username } = req.user;
+    if(selectedUser === username) {
+        throw badRequest('You cannot send a match request to yourself');
     };
-});
+    const usersQuery = await pool.query(
+        'SELECT id FROM users WHERE username = $1 AND suspended_at IS NULL', [selectedUser]
+    );
+    const receiverId = usersQuery.rows[0]?.id;
+    if(!receiverId) {
+        throw notFound('User not found');
+    };
+    const existing = await pool.query(
+        `
+        SELECT 
+            EXISTS(SELECT 1 FROM matches WHERE user_id = $1 AND match_id = $2) already_matched,
+            EXISTS(SELECT 1 FROM match_requests WHERE u_id1 = $2 AND u_id2 = $1) already_received,
+            EXISTS(
+                SELECT 1 FROM blocked_users
+                WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+            ) blocked
+        `, [senderId, receiverId]
+    );
+    const { already_matched: alreadyMatched, already_received: alreadyReceived, blocked } = existing.rows[0];
+    //the same message whichever of the two blocked the other
+    if(blocked) {
+        throw forbidden(`You can't send ${selectedUser} a match request`);
+    };
+    if(alreadyMatched) {
+        throw conflict(`You are already matched with ${selectedUser}`);
+    };
+    //the other user asked first, the client should accept their request instead
+    if(alreadyReceived) {
+        throw conflict(`${selectedUser} has already sent you a match request`);
+    };
+    const result = await pool.query(
+        `
+        INSERT INTO match_requests(u_id1, u_id2)
+        VALUES($1, $2)
+        ON CONFLICT DO NOTHING
+        `, [senderId, receiverId]
+    );
+    if(result.rowCount === 0) {
+        throw conflict(`You have already sent ${selectedUser} a match request`);
+    };
+    await notify({ recipient: receiverId, actor: senderId, type: notificationTypes.matchRequestReceived });
+    res.status(201).json({ message: `Match request sent to ${selectedUser}` });
+}));
 
-app.delete('/api/remove-all-match-requests', async(req, res) => {
-    const username = req.query.username;
-    try {
-        await client.query(
-            `
-            DELETE FROM match_requests 
+//accept a request the selected user sent to the current user
+app.post('/api/accept-match-request', authenticateToken, validate({
+    body: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const { selectedUser } = req.body;
+    //a single statement runs in one transaction, so the request is never removed without both match rows being created
+    const result = await pool.query(
+        `
+        WITH accepted AS (
+            DELETE FROM match_requests
             WHERE u_id1 = (SELECT id FROM users WHERE username = $1)
-            `, [username]
-        );
-        res.status(200).json({ message: 'removed all sent requests' });
-    } catch(err) {
-        console.error(err);
+            AND u_id2 = $2
+            RETURNING u_id1, u_id2
+        ),
+        --kept after an unmatch, see /api/reviews
+        history AS (
+            INSERT INTO match_history(user_a_id, user_b_id)
+            SELECT LEAST(u_id1, u_id2), GREATEST(u_id1, u_id2) FROM accepted
+            ON CONFLICT DO NOTHING
+        )
+        INSERT INTO matches(user_id, match_id)
+        SELECT u_id1, u_id2 FROM accepted
+        UNION ALL
+        SELECT u_id2, u_id1 FROM accepted
+        ON CONFLICT DO NOTHING
+        RETURNING user_id
+        `, [selectedUser, req.user.id]
+    );
+    if(result.rowCount === 0) {
+        throw notFound('Match request not found');
+    };
+    const partnerId = result.rows.find(row => row.user_id !== req.user.id).user_id;
+    await notify({ recipient: partnerId, actor: req.user.id, type: notificationTypes.matchRequestAccepted });
+    res.status(200).json({ message: `You are now matched with ${selectedUser}` });
+}));
+
+//decline a request the selected user sent to the current user
+app.post('/api/decline-match-request', authenticateToken, validate({
+    body: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const { selectedUser } = req.body;
+    const result = await pool.query(
+        `
+        DELETE FROM match_requests
+        WHERE u_id1 = (SELECT id FROM users WHERE username = $1)
+        AND u_id2 = $2
+        RETURNING u_id1
+        `, [selectedUser, req.user.id]
+    );
+    if(result.rowCount === 0) {
+        throw notFound('Match request not found');
     };
+    await notify({ recipient: result.rows[0].u_id1, actor: req.user.id, type: notificationTypes.matchRequestDeclined });
+    res.status(200).json({ message: `Declined match request from ${selectedUser}` });
+}));
+
+//cancel a single pending request the current user sent
+app.delete('/api/cancel-match-request', authenticateToken, validate({
+    query: { selectedUser: string({ label: 'selectedUser' }) }
+}), asyncHandler(async(req, res) => {
+    const { selectedUser } = req.query;
+    const result = await pool.query(
+        `
+        DELETE FROM match_requests
+        WHERE u_id1 = $1
+        AND u_id2 = (SELECT id FROM users WHERE username = $2)
+        RETURNING u_id2
+        `, [req.user.id, selectedUser]
+    );
+    if(result.rowCount === 0) {
+        throw notFound('Match request not found');
+    };
+    await withdrawNotifications({ recipient: result.rows[0].u_id2, actor: req.user.id, type: notificationTypes.matchRequestReceived });
+    res.status(200).json({ message: `Cancelled match request to ${selectedUser}` });
+}));
+
+//list everyone the current user is matched with
+app.get('/api/matches', authenticateToken, asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT u.username, u.profile_picture, m.created_at matched_at
+        FROM matches m
+        JOIN users u ON u.id = m.match_id
+        WHERE m.user_id = $1
+        ORDER BY m.created_at DESC
+        `, [req.user.id]
+    );
+    res.status(200).json({ matches: result.rows });
+}));
+
+//rank other users by how well their skills complement the current user's.
+//someone who teaches what you want to learn and wants to learn what you teach ranks highest,
+//and overlaps on either user's ranked priority skills get an extra boost, most for each user's first priority
+app.get('/api/recommendations', authenticateToken, validate({ query: paginationQuery }), asyncHandler(async(req, res) => {
+    const { page, limit } = req.query;
+    const result = await pool.query(
+        `
+        WITH me AS (
+            SELECT $1::INTEGER id
+        ),
+        skill_overlaps AS (
+            SELECT 
+                theirs.user_id,
+                s.name,
+                theirs.is_teaching they_teach,
+                CASE WHEN theirs.is_teaching THEN mine.learning_rank ELSE mine.teaching_rank END my_rank,
+                CASE WHEN theirs.is_teaching THEN theirs.teaching_rank ELSE theirs.learning_rank END their_rank
+            FROM users_skills mine
+            JOIN users_skills theirs ON theirs.skill_id = mine.skill_id 
+                AND theirs.user_id <> mine.user_id
+                AND ((mine.is_learning AND theirs.is_teaching) OR (mine.is_teaching AND theirs.is_learning))
+            JOIN skills s ON s.id = mine.skill_id
+            WHERE mine.user_id = (SELECT id FROM me)
+        ),
+        scored AS (
+            SELECT 
+                user_id,
+                COALESCE(ARRAY_AGG(name ORDER BY name) FILTER (WHERE they_teach), ARRAY[]::VARCHAR[]) can_teach_you,
+                COALESCE(ARRAY_AGG(name ORDER BY name) FILTER (WHERE NOT they_teach), ARRAY[]::VARCHAR[]) wants_to_learn_from_you,
+                COALESCE(
+                    ARRAY_AGG(name ORDER BY name) FILTER (WHERE my_rank IS NOT NULL OR their_rank IS NOT NULL), ARRAY[]::VARCHAR[]
+                ) priority_skills,
+                --1 point per overlapping skill, 3 for a two way swap, 2 for your first priority and 1 for your others,
+                --1 for their first priority
+                COUNT(*)
+                    + CASE WHEN BOOL_OR(they_teach) AND BOOL_OR(NOT they_teach) THEN 3 ELSE 0 END
+                    + 2 * COUNT(*) FILTER (WHERE my_rank = 1)
+                    + COUNT(*) FILTER (WHERE my_rank > 1)
+                    + COUNT(*) FILTER (WHERE their_rank = 1) score
+            FROM skill_overlaps
+            GROUP BY user_id
+        )
+        SELECT 
+            u.username,
+            u.profile_picture,
+            u.description,
+            sc.score::INTEGER score,
+            sc.can_teach_you,
+            sc.wants_to_learn_from_you,
+            sc.priority_skills,
+            COUNT(*) OVER() total
+        FROM scored sc
+        JOIN users u ON u.id = sc.user_id
+        WHERE u.suspended_at IS NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM matches WHERE user_id = (SELECT id FROM me) AND match_id = sc.user_id
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM match_requests 
+            WHERE (u_id1 = (SELECT id FROM me) AND u_id2 = sc.user_id)
+            OR (u_id1 = sc.user_id AND u_id2 = (SELECT id FROM me))
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM blocked_users 
+            WHERE (blocker_id = (SELECT id FROM me) AND blocked_id = sc.user_id)
+            OR (blocker_id = sc.user_id AND blocked_id = (SELECT id FROM me))
+        )
+        ORDER BY score DESC, u.username ASC
+        LIMIT $2 OFFSET $3
+        `, [req.user.id, limit, (page - 1) * limit]
+    );
+    const total = result.rows.length > 0 ? Number(result.rows[0].total) : 0;
+    res.status(200).json({
+        recommendations: result.rows.map(({ total, ...recommendation }) => recommendation),
+        page: page,
+        limit: limit,
+        total: total,
+        hasMore: page * limit < total
+    });
+}));
+
+app.use('/api', chatRoutes);
+app.use('/api', accountRoutes);
+app.use('/api', userRoutes);
+app.use('/api', skillProposalRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', sessionRoutes);
+app.use('/api', blockRoutes);
+app.use('/api', reportRoutes);
+app.use('/api', socialLinkRoutes);
+app.use('/api', twoFactorRoutes);
+app.use('/api', skillRoutes);
+app.use('/api', reviewRoutes);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+const server = app.listen(config.port, () => {
+    logger.info('listening', { port: config.port, profile: config.profile });
 });
 
-app.listen(4000, () => {
-    console.log('listening on port 4000');
+const chatServer = attachChatServer(server);
+
+handleShutdown(server, {
+    beforeClose: () => {
+        for(const ws of chatServer.clients) ws.close(1001, 'server shutting down');
+        chatServer.close();
+        closeStreams();
+    },
+    afterClose: () => pool.end()
 });
\ No newline at end of file
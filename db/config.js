@@ -0,0 +1,18 @@
+import { profile, readSecret } from '../lib/env.js';
+
+//connection settings shared by the api server and the db scripts. the scripts only need these,
+//so they come from here rather than lib/config.js, which checks every server setting
+export function getClientConfig() {
+    if(profile === 'production') {
+        return { connectionString: readSecret('DATABASE_URI') };
+    };
+    return {
+        user: process.env.PGUSER,
+        password: readSecret('PGPASSWORD'),
+        host: process.env.PGHOST,
+        port: Number(process.env.PGPORT) || 5432,
+        database: process.env.PGDATABASE,
+        //a local postgres usually has no certificate, set PGSSL=false to connect to one
+        ssl: process.env.PGSSL !== 'false'
+    };
+};
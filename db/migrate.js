@@ -0,0 +1,129 @@
+//versioned schema migrations.
+//
+//  npm run migrate              apply every pending migration
+//  npm run migrate:down [n]     roll back the last n migrations (default 1)
+//  npm run migrate:status       list applied and pending migrations
+//
+//migrations live in db/migrations as <version>_<name>.up.sql / <version>_<name>.down.sql pairs.
+//applied versions are tracked in the schema_migrations table and each migration runs in its own transaction.
+import fs from 'fs/promises';
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import pkg from 'pg';
+import { getClientConfig } from './config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const migrationsDir = path.join(__dirname, 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+//arbitrary key so two deploys can't migrate the same database at once
+const migrationLockId = 4_000_001;
+
+const { Client } = pkg;
+
+//read the migrations folder into a sorted list of { version, name, up, down }
+async function loadMigrations() {
+    const files = await fs.readdir(migrationsDir);
+    const migrations = new Map();
+    for(const file of files) {
+        const match = file.match(migrationFilePattern);
+        if(!match) continue;
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name };
+        migration[direction] = path.join(migrationsDir, file);
+        migrations.set(version, migration);
+    };
+    for(const migration of migrations.values()) {
+        if(!migration.up || !migration.down) {
+            throw new Error(`migration ${migration.version}_${migration.name} needs both an up and a down file`);
+        };
+    };
+    return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+async function appliedVersions(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+};
+
+async function runMigrationFile(client, migration, direction) {
+    const sql = await fs.readFile(migration[direction], 'utf8');
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        if(direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations(version, name) VALUES($1, $2)', [migration.version, migration.name]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        };
+        await client.query('COMMIT');
+    } catch(err) {
+        await client.query('ROLLBACK');
+        throw new Error(`migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    };
+    console.log(`${direction === 'up' ? 'applied' : 'reverted'} ${migration.version}_${migration.name}`);
+};
+
+export async function migrateUp(client) {
+    const migrations = await loadMigrations();
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    for(const migration of pending) {
+        await runMigrationFile(client, migration, 'up');
+    };
+    if(pending.length === 0) console.log('database is up to date');
+};
+
+export async function migrateDown(client, steps = 1) {
+    const migrations = await loadMigrations();
+    const applied = await appliedVersions(client);
+    const toRevert = migrations.filter(migration => applied.has(migration.version)).reverse().slice(0, steps);
+    for(const migration of toRevert) {
+        await runMigrationFile(client, migration, 'down');
+    };
+    if(toRevert.length === 0) console.log('nothing to roll back');
+};
+
+async function printStatus(client) {
+    const migrations = await loadMigrations();
+    const applied = await appliedVersions(client);
+    for(const migration of migrations) {
+        console.log(`${applied.has(migration.version) ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+    };
+};
+
+async function main() {
+    const [command = 'up', steps] = process.argv.slice(2);
+    const client = new Client(getClientConfig());
+    await client.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [migrationLockId]);
+        if(command === 'up') {
+            await migrateUp(client);
+        } else if(command === 'down') {
+            await migrateDown(client, steps ? Number(steps) : 1);
+        } else if(command === 'status') {
+            await printStatus(client);
+        } else {
+            throw new Error(`unknown command '${command}', expected up, down or status`);
+        };
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [migrationLockId]).catch(() => {});
+        await client.end();
+    };
+};
+
+if(process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+};
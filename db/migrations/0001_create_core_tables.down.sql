@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS social_links;
+DROP TABLE IF EXISTS matches;
+DROP TABLE IF EXISTS match_requests;
+DROP TABLE IF EXISTS users_skills;
+DROP TABLE IF EXISTS categories_skills;
+DROP TABLE IF EXISTS skills;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,77 @@
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    password TEXT NOT NULL,
+    profile_picture TEXT,
+    phone_number VARCHAR(32),
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT users_username_key UNIQUE (username),
+    CONSTRAINT users_email_key UNIQUE (email)
+);
+
+CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(100) NOT NULL,
+    CONSTRAINT categories_category_key UNIQUE (category)
+);
+
+CREATE TABLE skills (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    CONSTRAINT skills_name_key UNIQUE (name)
+);
+
+-- a skill can be listed under more than one category
+CREATE TABLE categories_skills (
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    PRIMARY KEY (category_id, skill_id)
+);
+
+CREATE INDEX categories_skills_skill_id_idx ON categories_skills(skill_id);
+
+-- the priority columns hold the same skill id on every row of a user, see /api/update-priority-skill
+CREATE TABLE users_skills (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    is_learning BOOLEAN NOT NULL DEFAULT FALSE,
+    is_teaching BOOLEAN NOT NULL DEFAULT FALSE,
+    skill_to_learn_priority_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+    skill_to_teach_priority_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+    CONSTRAINT users_skills_user_skill_key PRIMARY KEY (user_id, skill_id),
+    CONSTRAINT users_skills_learning_or_teaching CHECK (is_learning OR is_teaching)
+);
+
+CREATE INDEX users_skills_skill_id_idx ON users_skills(skill_id);
+
+-- u_id1 sent the request to u_id2
+CREATE TABLE match_requests (
+    u_id1 INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    u_id2 INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (u_id1, u_id2),
+    CONSTRAINT match_requests_not_self CHECK (u_id1 <> u_id2)
+);
+
+CREATE INDEX match_requests_u_id2_idx ON match_requests(u_id2);
+
+-- every match is stored in both directions
+CREATE TABLE matches (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    match_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, match_id),
+    CONSTRAINT matches_not_self CHECK (user_id <> match_id)
+);
+
+CREATE INDEX matches_match_id_idx ON matches(match_id);
+
+CREATE TABLE social_links (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL,
+    url TEXT NOT NULL,
+    CONSTRAINT social_links_user_platform_key UNIQUE (user_id, platform)
+);
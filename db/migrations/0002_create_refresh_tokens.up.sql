@@ -0,0 +1,17 @@
+-- refresh tokens issued by /api/signin, /api/register and /api/refresh.
+-- only the sha256 hash of a token is stored. tokens rotated by /api/refresh keep their row
+-- (revoked_at set) so a replayed token can be detected and its family revoked.
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL,
+    family_id UUID NOT NULL,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    CONSTRAINT refresh_tokens_token_hash_key UNIQUE (token_hash)
+);
+
+CREATE INDEX refresh_tokens_user_id_idx ON refresh_tokens(user_id);
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens(family_id);
@@ -0,0 +1,10 @@
+-- blocker_id no longer wants to see or hear from blocked_id. enforced in both directions
+CREATE TABLE blocked_users (
+    blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (blocker_id, blocked_id),
+    CONSTRAINT blocked_users_not_self CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX blocked_users_blocked_id_idx ON blocked_users(blocked_id);
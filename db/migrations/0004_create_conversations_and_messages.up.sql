@@ -0,0 +1,26 @@
+-- one conversation per pair of users, stored with the lower user id first
+CREATE TABLE conversations (
+    id SERIAL PRIMARY KEY,
+    user_a_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_b_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_message_at TIMESTAMPTZ,
+    CONSTRAINT conversations_pair_key UNIQUE (user_a_id, user_b_id),
+    CONSTRAINT conversations_ordered_pair CHECK (user_a_id < user_b_id)
+);
+
+CREATE INDEX conversations_user_b_id_idx ON conversations(user_b_id);
+
+CREATE TABLE messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    read_at TIMESTAMPTZ,
+    CONSTRAINT messages_body_not_empty CHECK (LENGTH(body) > 0)
+);
+
+CREATE INDEX messages_conversation_id_idx ON messages(conversation_id, id DESC);
+-- unread counts only ever look at unread rows
+CREATE INDEX messages_unread_idx ON messages(conversation_id, sender_id) WHERE read_at IS NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS profile_picture_sizes;
+ALTER TABLE users DROP COLUMN IF EXISTS profile_picture_key;
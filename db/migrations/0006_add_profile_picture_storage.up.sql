@@ -0,0 +1,3 @@
+-- storage key of the current picture so it can be deleted when replaced, and a url per avatar size
+ALTER TABLE users ADD COLUMN profile_picture_key TEXT;
+ALTER TABLE users ADD COLUMN profile_picture_sizes JSONB;
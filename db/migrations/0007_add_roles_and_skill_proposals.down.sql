@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS skill_proposals;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
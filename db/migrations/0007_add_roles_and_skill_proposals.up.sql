@@ -0,0 +1,23 @@
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user';
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+
+-- skills suggested by users, waiting for an admin to add them to the catalog
+CREATE TABLE skill_proposals (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    -- the catalog skill an approved proposal became
+    skill_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT skill_proposals_status_check CHECK (status IN ('pending', 'approved', 'rejected'))
+);
+
+-- one pending proposal per name, later proposals of the same skill are answered with a conflict
+CREATE UNIQUE INDEX skill_proposals_pending_name_key ON skill_proposals(LOWER(name)) WHERE status = 'pending';
+CREATE INDEX skill_proposals_user_id_idx ON skill_proposals(user_id);
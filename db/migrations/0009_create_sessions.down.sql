@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_feed_token_hash;
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,31 @@
+-- skill swap sessions between matched users. proposed_by is whoever last suggested the time,
+-- the other user has to accept it before the session is confirmed
+CREATE TABLE sessions (
+    id SERIAL PRIMARY KEY,
+    created_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    partner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    proposed_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skill_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    location TEXT,
+    meeting_url TEXT,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed',
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancel_reason TEXT,
+    -- bumped on every change so calendar apps replace their copy of the event
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT sessions_not_self CHECK (created_by <> partner_id),
+    CONSTRAINT sessions_status_check CHECK (status IN ('proposed', 'confirmed', 'cancelled')),
+    CONSTRAINT sessions_duration_check CHECK (duration_minutes BETWEEN 15 AND 480)
+);
+
+CREATE INDEX sessions_created_by_idx ON sessions(created_by, starts_at);
+CREATE INDEX sessions_partner_id_idx ON sessions(partner_id, starts_at);
+
+-- sha256 of the secret in the user's calendar feed url, calendar apps can't send a jwt
+ALTER TABLE users ADD COLUMN calendar_feed_token_hash TEXT;
+ALTER TABLE users ADD CONSTRAINT users_calendar_feed_token_hash_key UNIQUE (calendar_feed_token_hash);
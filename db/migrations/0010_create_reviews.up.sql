@@ -0,0 +1,30 @@
+-- every pair that has ever matched, kept after an unmatch so former partners can still review each other.
+-- user_a_id is always the smaller id
+CREATE TABLE match_history (
+    user_a_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_b_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    first_matched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_a_id, user_b_id),
+    CONSTRAINT match_history_ordered CHECK (user_a_id < user_b_id)
+);
+
+INSERT INTO match_history(user_a_id, user_b_id, first_matched_at)
+SELECT user_id, match_id, MIN(created_at) FROM matches WHERE user_id < match_id GROUP BY user_id, match_id
+ON CONFLICT DO NOTHING;
+
+-- a review of how reviewee taught one skill. one per reviewer, reviewee and skill
+CREATE TABLE reviews (
+    id SERIAL PRIMARY KEY,
+    reviewer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reviewee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL,
+    body TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT reviews_reviewer_reviewee_skill_key UNIQUE (reviewer_id, reviewee_id, skill_id),
+    CONSTRAINT reviews_rating_check CHECK (rating BETWEEN 1 AND 5),
+    CONSTRAINT reviews_not_self CHECK (reviewer_id <> reviewee_id)
+);
+
+CREATE INDEX reviews_reviewee_id_idx ON reviews(reviewee_id, skill_id);
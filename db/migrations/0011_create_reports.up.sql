@@ -0,0 +1,26 @@
+-- suspended users can't sign in and are hidden from other users
+ALTER TABLE users ADD COLUMN suspended_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+
+-- users reporting other users to the admins. reports outlive the reporter's account
+CREATE TABLE reports (
+    id SERIAL PRIMARY KEY,
+    reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reported_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL,
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    -- whether resolving the report suspended the reported user
+    suspended_user BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT reports_status_check CHECK (status IN ('open', 'resolved', 'dismissed')),
+    CONSTRAINT reports_not_self CHECK (reporter_id <> reported_id)
+);
+
+-- one open report per reporter and reported user, more details go into that report
+CREATE UNIQUE INDEX reports_open_pair_key ON reports(reporter_id, reported_id) WHERE status = 'open';
+CREATE INDEX reports_reported_id_idx ON reports(reported_id);
+CREATE INDEX reports_status_created_at_idx ON reports(status, created_at);
@@ -0,0 +1,3 @@
+ALTER TABLE social_links DROP CONSTRAINT IF EXISTS social_links_visibility_check;
+ALTER TABLE social_links DROP COLUMN IF EXISTS visibility;
+ALTER TABLE social_links DROP COLUMN IF EXISTS position;
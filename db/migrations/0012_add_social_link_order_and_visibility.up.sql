@@ -0,0 +1,12 @@
+-- links are shown in the order the user picked. matches only links are hidden from users you aren't matched with
+ALTER TABLE social_links ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE social_links ADD COLUMN visibility VARCHAR(20) NOT NULL DEFAULT 'public';
+ALTER TABLE social_links ADD CONSTRAINT social_links_visibility_check CHECK (visibility IN ('public', 'matches'));
+
+-- existing links keep the order they were added in
+UPDATE social_links sl
+SET position = ordered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY id) - 1 position FROM social_links
+) ordered
+WHERE ordered.id = sl.id;
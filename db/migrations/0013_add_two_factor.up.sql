@@ -0,0 +1,21 @@
+-- totp_secret is encrypted, see lib/totp.js. it is set while enrolling and only in use once totp_enabled_at is set
+ALTER TABLE users ADD COLUMN totp_secret TEXT;
+ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMPTZ;
+-- the time step of the last accepted code, codes from that step or earlier are refused so none can be replayed
+ALTER TABLE users ADD COLUMN totp_last_step BIGINT;
+
+-- single use codes for when the authenticator app is lost. only a hash is stored
+CREATE TABLE recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX recovery_codes_user_id_idx ON recovery_codes(user_id);
+
+-- a correct password from a user with 2fa gets a short lived challenge instead of a session
+ALTER TABLE user_tokens DROP CONSTRAINT user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+    CHECK (purpose IN ('verify_email', 'reset_password', 'signin_challenge'));
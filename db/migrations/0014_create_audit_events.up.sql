@@ -0,0 +1,15 @@
+-- security relevant changes to an account, shown to its owner under /api/account/activity.
+-- actor_id is set when someone else (an admin) made the change
+CREATE TABLE audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    event VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    ip TEXT,
+    user_agent TEXT,
+    request_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_events_user_id_idx ON audit_events(user_id, id DESC);
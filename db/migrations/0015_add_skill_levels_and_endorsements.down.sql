@@ -0,0 +1,23 @@
+DROP TABLE IF EXISTS skill_endorsements;
+
+ALTER TABLE users_skills ADD COLUMN IF NOT EXISTS skill_to_learn_priority_id INTEGER REFERENCES skills(id) ON DELETE SET NULL;
+ALTER TABLE users_skills ADD COLUMN IF NOT EXISTS skill_to_teach_priority_id INTEGER REFERENCES skills(id) ON DELETE SET NULL;
+
+-- the first ranked skill of each side goes back onto every row of the user
+UPDATE users_skills us SET skill_to_learn_priority_id = (
+    SELECT skill_id FROM users_skills WHERE user_id = us.user_id AND learning_rank IS NOT NULL
+    ORDER BY learning_rank LIMIT 1
+);
+UPDATE users_skills us SET skill_to_teach_priority_id = (
+    SELECT skill_id FROM users_skills WHERE user_id = us.user_id AND teaching_rank IS NOT NULL
+    ORDER BY teaching_rank LIMIT 1
+);
+
+ALTER TABLE users_skills DROP CONSTRAINT IF EXISTS users_skills_teaching_rank_check;
+ALTER TABLE users_skills DROP CONSTRAINT IF EXISTS users_skills_learning_rank_check;
+ALTER TABLE users_skills DROP CONSTRAINT IF EXISTS users_skills_target_level_check;
+ALTER TABLE users_skills DROP CONSTRAINT IF EXISTS users_skills_level_check;
+ALTER TABLE users_skills DROP COLUMN IF EXISTS teaching_rank;
+ALTER TABLE users_skills DROP COLUMN IF EXISTS learning_rank;
+ALTER TABLE users_skills DROP COLUMN IF EXISTS target_level;
+ALTER TABLE users_skills DROP COLUMN IF EXISTS level;
@@ -0,0 +1,33 @@
+-- level is how good the user is at a skill, target_level how good they want to get at one they're learning.
+-- learning_rank and teaching_rank order the user's priorities, 1 first. unranked skills come after the ranked ones
+ALTER TABLE users_skills ADD COLUMN level VARCHAR(20);
+ALTER TABLE users_skills ADD COLUMN target_level VARCHAR(20);
+ALTER TABLE users_skills ADD COLUMN learning_rank INTEGER;
+ALTER TABLE users_skills ADD COLUMN teaching_rank INTEGER;
+ALTER TABLE users_skills ADD CONSTRAINT users_skills_level_check
+    CHECK (level IN ('beginner', 'intermediate', 'advanced', 'expert'));
+ALTER TABLE users_skills ADD CONSTRAINT users_skills_target_level_check
+    CHECK (target_level IS NULL OR (target_level IN ('beginner', 'intermediate', 'advanced', 'expert') AND is_learning));
+ALTER TABLE users_skills ADD CONSTRAINT users_skills_learning_rank_check CHECK (learning_rank IS NULL OR (learning_rank > 0 AND is_learning));
+ALTER TABLE users_skills ADD CONSTRAINT users_skills_teaching_rank_check CHECK (teaching_rank IS NULL OR (teaching_rank > 0 AND is_teaching));
+
+-- the single priority skill of each side becomes the first rank
+UPDATE users_skills SET learning_rank = 1 WHERE is_learning AND skill_to_learn_priority_id = skill_id;
+UPDATE users_skills SET teaching_rank = 1 WHERE is_teaching AND skill_to_teach_priority_id = skill_id;
+
+ALTER TABLE users_skills DROP COLUMN skill_to_learn_priority_id;
+ALTER TABLE users_skills DROP COLUMN skill_to_teach_priority_id;
+
+-- a matched partner vouching that user_id knows a skill they teach. goes when the skill leaves their list
+CREATE TABLE skill_endorsements (
+    endorser_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    skill_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (endorser_id, user_id, skill_id),
+    CONSTRAINT skill_endorsements_user_skill_fkey FOREIGN KEY (user_id, skill_id)
+        REFERENCES users_skills(user_id, skill_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT skill_endorsements_not_self CHECK (endorser_id <> user_id)
+);
+
+CREATE INDEX skill_endorsements_user_id_idx ON skill_endorsements(user_id, skill_id);
@@ -0,0 +1,14 @@
+-- usernames users gave up. for a while after a rename the old name still leads to the user
+-- and nobody else can register it, see lib/usernames.js
+CREATE TABLE username_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    released_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX username_history_username_idx ON username_history(username, released_at DESC);
+CREATE INDEX username_history_user_id_idx ON username_history(user_id);
+
+-- when the username last changed, for the rename cooldown
+ALTER TABLE users ADD COLUMN username_changed_at TIMESTAMPTZ;
@@ -0,0 +1,2 @@
+-- access tokens issued before this are rejected, so a password reset signs out every device straight away
+ALTER TABLE users ADD COLUMN password_changed_at TIMESTAMPTZ;
@@ -0,0 +1,10 @@
+-- emails are stored lower case from now on. older rows are brought in line unless that would clash with
+-- another account, and those pairs have to be sorted out by hand before the index below can be built
+UPDATE users SET email = LOWER(email)
+WHERE email <> LOWER(email)
+AND NOT EXISTS (
+    SELECT 1 FROM users other
+    WHERE other.id <> users.id AND LOWER(other.email) = LOWER(users.email)
+);
+
+CREATE UNIQUE INDEX users_email_lower_idx ON users(LOWER(email));
@@ -0,0 +1,50 @@
+import pkg from 'pg';
+import { getClientConfig } from './config.js';
+import { logger } from '../lib/logger.js';
+import { config } from '../lib/config.js';
+
+const { Pool } = pkg;
+
+//every route shares this pool. a dropped connection is discarded and replaced on the next query
+export const pool = new Pool({
+    ...getClientConfig(),
+    max: config.databasePoolSize,
+    idleTimeoutMillis: 30 * 1000,
+    connectionTimeoutMillis: 5 * 1000
+});
+
+//an idle connection dying (db restart, network blip) must not crash the server
+pool.on('error', err => logger.error('idle database connection error', { err }));
+
+//run callback with a dedicated connection inside BEGIN/COMMIT.
+//anything it throws rolls the transaction back and is rethrown
+export async function withTransaction(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch(err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    };
+};
+
+//true if the database answers within timeoutMs
+export async function checkDatabase(timeoutMs = 2000) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('database check timed out')), timeoutMs);
+    });
+    try {
+        await Promise.race([pool.query('SELECT 1'), timeout]);
+        return true;
+    } catch(err) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    };
+};
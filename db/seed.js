@@ -0,0 +1,201 @@
+//load the skill catalog and a handful of demo users into a migrated database.
+//
+//  npm run seed
+//
+//safe to run more than once, existing rows are left alone.
+//every demo user signs in with the password in demoPassword.
+import bcrypt from 'bcrypt';
+import pkg from 'pg';
+import { fileURLToPath } from 'url';
+import { getClientConfig } from './config.js';
+
+const { Client } = pkg;
+
+const demoPassword = 'skillswap123';
+
+//category -> skills. a skill may appear under more than one category
+const catalog = {
+    'Music': ['Guitar', 'Piano', 'Singing', 'Drums', 'Violin', 'Music Production', 'Ukulele'],
+    'Languages': ['Spanish', 'French', 'Japanese', 'Mandarin', 'German', 'Italian', 'Sign Language'],
+    'Programming': ['JavaScript', 'Python', 'SQL', 'React', 'Java', 'Rust', 'Web Design'],
+    'Design': ['Graphic Design', 'UI/UX Design', 'Illustration', 'Photography', 'Video Editing', 'Web Design'],
+    'Cooking': ['Baking', 'Italian Cooking', 'Vegan Cooking', 'Bread Making', 'Knife Skills', 'Meal Prep'],
+    'Fitness': ['Yoga', 'Running', 'Weightlifting', 'Rock Climbing', 'Swimming', 'Meal Prep'],
+    'Crafts': ['Knitting', 'Sewing', 'Woodworking', 'Pottery', 'Calligraphy'],
+    'Business': ['Public Speaking', 'Marketing', 'Bookkeeping', 'Negotiation', 'Excel']
+};
+
+const demoUsers = [
+    {
+        username: 'ava',
+        email: 'ava@example.com',
+        phoneNumber: '0400 000 001',
+        description: 'Session guitarist looking to finally learn some Spanish.',
+        teaching: ['Guitar', 'Music Production'],
+        learning: ['Spanish', 'Baking'],
+        socials: { instagram: 'https://www.instagram.com/ava.plays' }
+    },
+    {
+        username: 'mateo',
+        email: 'mateo@example.com',
+        phoneNumber: '0400 000 002',
+        description: 'Native Spanish speaker and home baker. Always wanted to play guitar.',
+        teaching: ['Spanish', 'Baking', 'Bread Making'],
+        learning: ['Guitar', 'Photography'],
+        socials: { linkedin: 'https://www.linkedin.com/in/mateo-demo' }
+    },
+    {
+        username: 'priya',
+        email: 'priya@example.com',
+        phoneNumber: '0400 000 003',
+        description: 'Frontend developer who would love to get better at yoga and pottery.',
+        teaching: ['JavaScript', 'React', 'UI/UX Design'],
+        learning: ['Yoga', 'Pottery'],
+        socials: { github: 'https://github.com/priya-demo' }
+    },
+    {
+        username: 'liam',
+        email: 'liam@example.com',
+        phoneNumber: '0400 000 004',
+        description: 'Yoga teacher. Trying to build my own website.',
+        teaching: ['Yoga', 'Running'],
+        learning: ['JavaScript', 'Web Design'],
+        socials: {}
+    },
+    {
+        username: 'yuki',
+        email: 'yuki@example.com',
+        phoneNumber: '0400 000 005',
+        description: 'Photographer and potter, learning piano in my spare time.',
+        teaching: ['Photography', 'Pottery', 'Japanese'],
+        learning: ['Piano', 'Public Speaking'],
+        socials: { instagram: 'https://www.instagram.com/yuki.clay' }
+    }
+];
+
+//[sender, receiver] of pending requests and pairs that already matched
+const demoRequests = [['ava', 'mateo'], ['liam', 'priya']];
+const demoMatches = [['priya', 'yuki']];
+
+async function seedCatalog(client) {
+    for(const [category, skills] of Object.entries(catalog)) {
+        await client.query(
+            'INSERT INTO categories(category) VALUES($1) ON CONFLICT (category) DO NOTHING', [category]
+        );
+        for(const skill of skills) {
+            await client.query('INSERT INTO skills(name) VALUES($1) ON CONFLICT (name) DO NOTHING', [skill]);
+            await client.query(
+                `
+                INSERT INTO categories_skills(category_id, skill_id)
+                VALUES(
+                    (SELECT id FROM categories WHERE category = $1),
+                    (SELECT id FROM skills WHERE name = $2)
+                )
+                ON CONFLICT DO NOTHING
+                `, [category, skill]
+            );
+        };
+    };
+};
+
+async function seedUsers(client) {
+    const hashedPassword = await bcrypt.hash(demoPassword, 12);
+    for(const user of demoUsers) {
+        await client.query(
+            `
+            INSERT INTO users(username, email, password, phone_number, description)
+            VALUES($1, $2, $3, $4, $5)
+            ON CONFLICT (username) DO NOTHING
+            `, [user.username, user.email, hashedPassword, user.phoneNumber, user.description]
+        );
+        const skills = [
+            ...user.teaching.map(skill => [skill, false]),
+            ...user.learning.map(skill => [skill, true])
+        ];
+        for(const [skill, isLearning] of skills) {
+            await client.query(
+                `
+                INSERT INTO users_skills(user_id, skill_id, is_learning, is_teaching)
+                VALUES(
+                    (SELECT id FROM users WHERE username = $1),
+                    (SELECT id FROM skills WHERE name = $2),
+                    $3,
+                    $4
+                )
+                ON CONFLICT DO NOTHING
+                `, [user.username, skill, isLearning, !isLearning]
+            );
+        };
+        for(const [platform, url] of Object.entries(user.socials)) {
+            await client.query(
+                `
+                INSERT INTO social_links(user_id, platform, url)
+                VALUES((SELECT id FROM users WHERE username = $1), $2, $3)
+                ON CONFLICT (user_id, platform) DO NOTHING
+                `, [user.username, platform, url]
+            );
+        };
+    };
+};
+
+async function seedConnections(client) {
+    for(const [sender, receiver] of demoRequests) {
+        await client.query(
+            `
+            INSERT INTO match_requests(u_id1, u_id2)
+            VALUES((SELECT id FROM users WHERE username = $1), (SELECT id FROM users WHERE username = $2))
+            ON CONFLICT DO NOTHING
+            `, [sender, receiver]
+        );
+    };
+    //matches are stored in both directions
+    for(const [user, match] of demoMatches) {
+        await client.query(
+            `
+            INSERT INTO matches(user_id, match_id)
+            SELECT a.id, b.id FROM users a, users b WHERE a.username = $1 AND b.username = $2
+            UNION ALL
+            SELECT b.id, a.id FROM users a, users b WHERE a.username = $1 AND b.username = $2
+            ON CONFLICT DO NOTHING
+            `, [user, match]
+        );
+        await client.query(
+            `
+            INSERT INTO match_history(user_a_id, user_b_id)
+            SELECT LEAST(a.id, b.id), GREATEST(a.id, b.id) FROM users a, users b WHERE a.username = $1 AND b.username = $2
+            ON CONFLICT DO NOTHING
+            `, [user, match]
+        );
+    };
+};
+
+export async function seed(client) {
+    await client.query('BEGIN');
+    try {
+        await seedCatalog(client);
+        await seedUsers(client);
+        await seedConnections(client);
+        await client.query('COMMIT');
+    } catch(err) {
+        await client.query('ROLLBACK');
+        throw err;
+    };
+};
+
+async function main() {
+    const client = new Client(getClientConfig());
+    await client.connect();
+    try {
+        await seed(client);
+        console.log(`seeded ${Object.keys(catalog).length} categories and ${demoUsers.length} demo users`);
+    } finally {
+        await client.end();
+    };
+};
+
+if(process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(err => {
+        console.error('seed failed: ', err.message);
+        process.exit(1);
+    });
+};
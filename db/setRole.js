@@ -0,0 +1,30 @@
+//give a user a role. the first admin has to be made this way, after that admins can be made from here too.
+//
+//  npm run set-role -- <username> <user|admin>
+import pkg from 'pg';
+import { getClientConfig } from './config.js';
+
+const { Client } = pkg;
+
+const roles = ['user', 'admin'];
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    if(!username || !roles.includes(role)) {
+        throw new Error(`usage: npm run set-role -- <username> <${roles.join('|')}>`);
+    };
+    const client = new Client(getClientConfig());
+    await client.connect();
+    try {
+        const result = await client.query('UPDATE users SET role = $1 WHERE username = $2', [role, username]);
+        if(result.rowCount === 0) throw new Error(`there is no user called '${username}'`);
+        console.log(`${username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+    } finally {
+        await client.end();
+    };
+};
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
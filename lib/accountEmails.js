@@ -0,0 +1,16 @@
+import { mailer } from './mailer/index.js';
+import { verificationEmail, passwordResetEmail } from './mailer/messages.js';
+import { issueUserToken } from './tokens.js';
+
+const verifyEmailLifetimeMs = 24 * 60 * 60 * 1000; //24 hours
+const resetPasswordLifetimeMs = 60 * 60 * 1000; //1 hour
+
+export async function sendVerificationEmail({ id, username, email }) {
+    const token = await issueUserToken(id, 'verify_email', verifyEmailLifetimeMs);
+    await mailer.send({ to: email, ...verificationEmail(username, token) });
+};
+
+export async function sendPasswordResetEmail({ id, username, email }) {
+    const token = await issueUserToken(id, 'reset_password', resetPasswordLifetimeMs);
+    await mailer.send({ to: email, ...passwordResetEmail(username, token) });
+};
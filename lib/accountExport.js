@@ -0,0 +1,109 @@
+import { pool } from '../db/pool.js';
+import { sessionSelect } from './sessions.js';
+
+//everything stored about a user, for /api/account/export. secrets (password and token hashes) are left out,
+//other users appear by username only
+export async function buildAccountExport(userId) {
+    const query = async(sql) => (await pool.query(sql, [userId])).rows;
+
+    const [profile] = await query(`
+        SELECT username, email, phone_number, description, role, email_verified_at, totp_enabled_at, created_at,
+            profile_picture, profile_picture_sizes
+        FROM users WHERE id = $1
+    `);
+    const { profile_picture: profilePicture, profile_picture_sizes: profilePictureSizes, ...details } = profile;
+
+    return {
+        exportedAt: new Date(),
+        profile: details,
+        profilePictures: { current: profilePicture, sizes: profilePictureSizes },
+        skills: await query(`
+            SELECT s.name skill, us.is_learning, us.is_teaching, us.level, us.target_level,
+                us.learning_rank, us.teaching_rank
+            FROM users_skills us JOIN skills s ON s.id = us.skill_id
+            WHERE us.user_id = $1 ORDER BY s.name
+        `),
+        endorsementsGiven: await query(`
+            SELECT u.username endorsed, s.name skill, se.created_at
+            FROM skill_endorsements se JOIN users u ON u.id = se.user_id JOIN skills s ON s.id = se.skill_id
+            WHERE se.endorser_id = $1 ORDER BY se.created_at
+        `),
+        endorsementsReceived: await query(`
+            SELECT u.username endorser, s.name skill, se.created_at
+            FROM skill_endorsements se JOIN users u ON u.id = se.endorser_id JOIN skills s ON s.id = se.skill_id
+            WHERE se.user_id = $1 ORDER BY se.created_at
+        `),
+        socialLinks: await query('SELECT platform, url, visibility FROM social_links WHERE user_id = $1 ORDER BY position, id'),
+        matchRequestsSent: await query(`
+            SELECT u.username sent_to, mr.created_at
+            FROM match_requests mr JOIN users u ON u.id = mr.u_id2
+            WHERE mr.u_id1 = $1 ORDER BY mr.created_at
+        `),
+        matchRequestsReceived: await query(`
+            SELECT u.username received_from, mr.created_at
+            FROM match_requests mr JOIN users u ON u.id = mr.u_id1
+            WHERE mr.u_id2 = $1 ORDER BY mr.created_at
+        `),
+        matches: await query(`
+            SELECT u.username matched_with, m.created_at
+            FROM matches m JOIN users u ON u.id = m.match_id
+            WHERE m.user_id = $1 ORDER BY m.created_at
+        `),
+        matchHistory: await query(`
+            SELECT u.username matched_with, mh.first_matched_at
+            FROM match_history mh
+            JOIN users u ON u.id = CASE WHEN mh.user_a_id = $1 THEN mh.user_b_id ELSE mh.user_a_id END
+            WHERE mh.user_a_id = $1 OR mh.user_b_id = $1 ORDER BY mh.first_matched_at
+        `),
+        blockedUsers: await query(`
+            SELECT u.username blocked, b.created_at
+            FROM blocked_users b JOIN users u ON u.id = b.blocked_id
+            WHERE b.blocker_id = $1 ORDER BY b.created_at
+        `),
+        messages: await query(`
+            SELECT p.username conversation_with, sender.username sender, m.body, m.created_at, m.read_at
+            FROM conversations c
+            JOIN users p ON p.id = CASE WHEN c.user_a_id = $1 THEN c.user_b_id ELSE c.user_a_id END
+            JOIN messages m ON m.conversation_id = c.id
+            JOIN users sender ON sender.id = m.sender_id
+            WHERE c.user_a_id = $1 OR c.user_b_id = $1
+            ORDER BY p.username, m.id
+        `),
+        sessions: await query(`${sessionSelect} WHERE s.created_by = $1 OR s.partner_id = $1 ORDER BY s.starts_at`),
+        reviewsWritten: await query(`
+            SELECT u.username reviewee, s.name skill, r.rating, r.body, r.created_at, r.updated_at
+            FROM reviews r JOIN users u ON u.id = r.reviewee_id JOIN skills s ON s.id = r.skill_id
+            WHERE r.reviewer_id = $1 ORDER BY r.created_at
+        `),
+        reviewsReceived: await query(`
+            SELECT u.username reviewer, s.name skill, r.rating, r.body, r.created_at, r.updated_at
+            FROM reviews r JOIN users u ON u.id = r.reviewer_id JOIN skills s ON s.id = r.skill_id
+            WHERE r.reviewee_id = $1 ORDER BY r.created_at
+        `),
+        skillProposals: await query(`
+            SELECT name, note, status, review_note, created_at, reviewed_at
+            FROM skill_proposals WHERE user_id = $1 ORDER BY created_at
+        `),
+        reportsFiled: await query(`
+            SELECT u.username reported, r.reason, r.details, r.status, r.created_at, r.resolved_at
+            FROM reports r JOIN users u ON u.id = r.reported_id
+            WHERE r.reporter_id = $1 ORDER BY r.created_at
+        `),
+        notifications: await query(`
+            SELECT n.type, a.username actor, n.data, n.created_at, n.read_at
+            FROM notifications n LEFT JOIN users a ON a.id = n.actor_id
+            WHERE n.user_id = $1 ORDER BY n.id
+        `),
+        activeSessions: await query(`
+            SELECT created_at, expires_at FROM refresh_tokens
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() ORDER BY created_at
+        `),
+        usernameHistory: await query(
+            'SELECT username, released_at FROM username_history WHERE user_id = $1 ORDER BY released_at'
+        ),
+        securityActivity: await query(`
+            SELECT event, data, ip, user_agent, actor_id IS NOT NULL by_admin, created_at
+            FROM audit_events WHERE user_id = $1 ORDER BY id
+        `)
+    };
+};
@@ -0,0 +1,54 @@
+import { pool } from '../db/pool.js';
+import { logger } from './logger.js';
+
+//audit events:
+//  registered                  the account was created
+//  signin_succeeded            data has method: password, totp or recovery_code
+//  signin_failed               data has reason: password or second_factor
+//  signed_out_everywhere       every session was revoked
+//  password_reset              the password was changed with an emailed reset link
+//  profile_updated             data has changed, the fields that changed, and previousUsername after a rename
+//  skill_added                 data has skill and side: learning or teaching
+//  skill_removed               data has skill
+//  priority_skill_changed      data has side and skills, the new ranking first to last
+//  skill_level_changed         data has skill, level and targetLevel
+//  unmatched                   data has partner
+//  two_factor_enabled
+//  two_factor_disabled
+//  recovery_codes_regenerated
+//  suspended                   an admin suspended the account
+//  unsuspended                 an admin lifted the suspension
+export const auditEvents = {
+    registered: 'registered',
+    signinSucceeded: 'signin_succeeded',
+    signinFailed: 'signin_failed',
+    signedOutEverywhere: 'signed_out_everywhere',
+    passwordReset: 'password_reset',
+    profileUpdated: 'profile_updated',
+    skillAdded: 'skill_added',
+    skillRemoved: 'skill_removed',
+    prioritySkillChanged: 'priority_skill_changed',
+    skillLevelChanged: 'skill_level_changed',
+    unmatched: 'unmatched',
+    twoFactorEnabled: 'two_factor_enabled',
+    twoFactorDisabled: 'two_factor_disabled',
+    recoveryCodesRegenerated: 'recovery_codes_regenerated',
+    suspended: 'suspended',
+    unsuspended: 'unsuspended'
+};
+
+//record an event against the user with userId. ip, user agent and request id come from req.
+//actorId is the id of an admin acting on someone else's account.
+//failures are logged, not thrown, so a missing audit row never undoes the change it describes
+export async function recordAudit(req, { userId, actorId = null, event, data = {} }) {
+    try {
+        await pool.query(
+            `
+            INSERT INTO audit_events(user_id, actor_id, event, data, ip, user_agent, request_id)
+            VALUES($1, $2, $3, $4, $5, $6, $7)
+            `, [userId, actorId, event, data, req.ip, req.get('User-Agent') ?? null, req.id]
+        );
+    } catch(err) {
+        (req.log ?? logger).error('error recording audit event', { event, err });
+    };
+};
@@ -0,0 +1,63 @@
+import sharp from 'sharp';
+import { storage } from './storage/index.js';
+import { AppError } from './errors.js';
+
+export const maxAvatarBytes = 5 * 1024 * 1024; //5MB
+
+//every upload is stored at these square sizes. profile_picture points at the large one
+export const avatarSizes = { small: 64, medium: 256, large: 512 };
+
+//magic bytes of the formats we accept. the browser supplied mimetype and file name are never trusted
+const signatures = [
+    { format: 'jpeg', matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+    { format: 'png', matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { format: 'webp', matches: data => data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+//upload problems the user can fix
+function invalidUpload(message) {
+    return new AppError(400, 'invalid_upload', message);
+};
+
+export function sniffImageFormat(data) {
+    return signatures.find(signature => signature.matches(data))?.format || null;
+};
+
+//check an express-fileupload file and resize it to every avatar size
+export async function processAvatar(file) {
+    if(file.truncated || file.size > maxAvatarBytes) {
+        throw new AppError(413, 'payload_too_large', `Profile pictures must be smaller than ${maxAvatarBytes / 1024 / 1024}MB`);
+    };
+    const format = sniffImageFormat(file.data);
+    if(!format) {
+        throw invalidUpload('Profile pictures must be a JPEG, PNG or WebP image');
+    };
+    const resized = {};
+    try {
+        for(const [size, pixels] of Object.entries(avatarSizes)) {
+            resized[size] = await sharp(file.data)
+                .rotate() //respect exif orientation from phone cameras
+                .resize(pixels, pixels, { fit: 'cover' })
+                .webp({ quality: 85 })
+                .toBuffer();
+        };
+    } catch(err) {
+        throw invalidUpload('The uploaded image could not be read');
+    };
+    return resized;
+};
+
+//store every size of a processed avatar and return the base key and a url per size
+export async function saveAvatar(userId, resized) {
+    const key = `avatars/${userId}/${Date.now()}`;
+    const urls = {};
+    for(const [size, data] of Object.entries(resized)) {
+        urls[size] = await storage.save(`${key}-${size}`, data, 'image/webp');
+    };
+    return { key, urls };
+};
+
+export async function deleteAvatar(key) {
+    if(!key) return;
+    await Promise.all(Object.keys(avatarSizes).map(size => storage.remove(`${key}-${size}`)));
+};
@@ -0,0 +1,15 @@
+import { pool } from '../db/pool.js';
+
+//true when either user has blocked the other. blocks work both ways, the blocked user can't reach the blocker either
+export async function isBlockedBetween(userId, otherUserId) {
+    const result = await pool.query(
+        `
+        SELECT EXISTS(
+            SELECT 1 FROM blocked_users
+            WHERE (blocker_id = $1 AND blocked_id = $2)
+            OR (blocker_id = $2 AND blocked_id = $1)
+        ) blocked
+        `, [userId, otherUserId]
+    );
+    return result.rows[0].blocked;
+};
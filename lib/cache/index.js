@@ -0,0 +1,46 @@
+import { config } from '../config.js';
+import { createMemoryCache } from './memory.js';
+
+//every store exposes the same interface, all async so a store can live outside the process:
+//  get(key)                 the value stored under key, or undefined when there is none or it expired
+//  set(key, value, ttlMs)   store a json serializable value for ttlMs
+//  delete(key)              forget the key
+//  deletePrefix(prefix)     forget every key starting with prefix
+const stores = {
+    memory: () => createMemoryCache()
+};
+
+//pick the store named by CACHE_STORE, memory unless told otherwise
+export function createCacheStore(name = config.cacheStore) {
+    if(!stores[name]) {
+        throw new Error(`unknown CACHE_STORE '${name}', expected one of ${Object.keys(stores).join(', ')}`);
+    };
+    return stores[name]();
+};
+
+export const cacheStore = createCacheStore();
+
+//entries also expire on their own, so a write path that forgets to invalidate is only stale for a while
+export const cacheKeys = {
+    skillCatalog: 'skill-catalog',
+    profilePrefix: 'profile:',
+    profile: userId => `profile:${userId}`
+};
+
+//the value cached under key, loading and caching it for ttlMs when it isn't. null and undefined are never cached
+export async function cached(key, ttlMs, load) {
+    const hit = await cacheStore.get(key);
+    if(hit !== undefined) return hit;
+    const value = await load();
+    if(value !== null && value !== undefined) await cacheStore.set(key, value, ttlMs);
+    return value;
+};
+
+//for writes that change a skill name or which categories list it
+export const forgetSkillCatalog = () => cacheStore.delete(cacheKeys.skillCatalog);
+
+//for writes to the user's own profile: their details, skills, links or the ratings they received
+export const forgetProfile = userId => cacheStore.delete(cacheKeys.profile(userId));
+
+//for writes that show up on other users' profiles too, like a renamed skill or a suspended endorser
+export const forgetAllProfiles = () => cacheStore.deletePrefix(cacheKeys.profilePrefix);
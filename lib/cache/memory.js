@@ -0,0 +1,45 @@
+//keeps entries in process memory. entries are lost on restart and aren't shared between instances,
+//so running more than one instance needs a shared store or one instance's writes leave the others stale.
+//values are kept as json so callers can't change a cached value through what they got back
+export function createMemoryCache({ maxEntries = 5000, sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    function current(key) {
+        const entry = entries.get(key);
+        if(!entry) return null;
+        if(entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        };
+        return entry;
+    };
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for(const [key, entry] of entries) {
+            if(entry.expiresAt <= now) entries.delete(key);
+        };
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    return {
+        async get(key) {
+            const entry = current(key);
+            return entry ? JSON.parse(entry.json) : undefined;
+        },
+        async set(key, value, ttlMs) {
+            //maps keep insertion order, so the first key is the oldest write
+            entries.delete(key);
+            if(entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+            entries.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async deletePrefix(prefix) {
+            for(const key of entries.keys()) {
+                if(key.startsWith(prefix)) entries.delete(key);
+            };
+        }
+    };
+};
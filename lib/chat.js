@@ -0,0 +1,205 @@
+import { WebSocketServer } from 'ws';
+import { pool, withTransaction } from '../db/pool.js';
+import { verifyAccessToken, issuedBeforePasswordChange } from '../middleware/auth.js';
+import { AppError, badRequest, forbidden, notFound } from './errors.js';
+import { logger } from './logger.js';
+
+const chatPath = '/api/chat';
+const maxMessageLength = 2000;
+const heartbeatIntervalMs = 30 * 1000;
+
+//user id -> open sockets. a user can have the app open on more than one device
+const sockets = new Map();
+
+export async function findUserId(username) {
+    const result = await pool.query('SELECT id FROM users WHERE username = $1', [username]);
+    if(result.rows.length === 0) throw notFound('User not found');
+    return result.rows[0].id;
+};
+
+//look up the conversation between the user and their partner.
+//conversationId is null until the first message is sent
+export async function getConversation(userId, partnerUsername) {
+    const result = await pool.query(
+        `
+        SELECT
+            me.username,
+            p.id partner_id,
+            p.username partner_username,
+            c.id conversation_id,
+            EXISTS(SELECT 1 FROM matches WHERE user_id = me.id AND match_id = p.id) is_matched
+        FROM users me
+        JOIN users p ON p.username = $2
+        LEFT JOIN conversations c ON c.user_a_id = LEAST(me.id, p.id) AND c.user_b_id = GREATEST(me.id, p.id)
+        WHERE me.id = $1
+        `, [userId, partnerUsername]
+    );
+    const conversation = result.rows[0];
+    if(!conversation) throw notFound('User not found');
+    return {
+        username: conversation.username,
+        partnerId: conversation.partner_id,
+        partnerUsername: conversation.partner_username,
+        conversationId: conversation.conversation_id,
+        isMatched: conversation.is_matched
+    };
+};
+
+//deliver an event to every open socket of the given users
+export function pushToUsers(userIds, event) {
+    const data = JSON.stringify(event);
+    for(const userId of userIds) {
+        for(const ws of sockets.get(userId) || []) {
+            if(ws.readyState === ws.OPEN) ws.send(data);
+        };
+    };
+};
+
+//close every socket of a user, e.g. once their account is gone
+export function disconnectUser(userId, reason) {
+    for(const ws of sockets.get(userId) || []) ws.close(1008, reason);
+};
+
+//store a message and push it to both users. only currently matched users can message each other,
+//after an unmatch the history stays readable but nothing new can be sent
+export async function sendMessage(senderId, partnerUsername, body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if(!text) throw badRequest('Message cannot be empty', { body: 'Message cannot be empty' });
+    if(text.length > maxMessageLength) {
+        const message = `Messages cannot be longer than ${maxMessageLength} characters`;
+        throw badRequest(message, { body: message });
+    };
+    const conversation = await getConversation(senderId, partnerUsername);
+    if(conversation.partnerId === senderId) throw badRequest('You cannot message yourself');
+    if(!conversation.isMatched) {
+        throw forbidden('You can only message users you are matched with');
+    };
+    const storedMessage = await withTransaction(async(client) => {
+        const conversationResult = await client.query(
+            `
+            INSERT INTO conversations(user_a_id, user_b_id, last_message_at)
+            VALUES(LEAST($1::INTEGER, $2::INTEGER), GREATEST($1::INTEGER, $2::INTEGER), NOW())
+            ON CONFLICT (user_a_id, user_b_id) DO UPDATE SET last_message_at = NOW()
+            RETURNING id
+            `, [senderId, conversation.partnerId]
+        );
+        const messageResult = await client.query(
+            `
+            INSERT INTO messages(conversation_id, sender_id, body)
+            VALUES($1, $2, $3)
+            RETURNING id, body, created_at, read_at
+            `, [conversationResult.rows[0].id, senderId, text]
+        );
+        return messageResult.rows[0];
+    });
+    const message = {
+        ...storedMessage,
+        sender: conversation.username,
+        recipient: conversation.partnerUsername
+    };
+    pushToUsers([senderId, conversation.partnerId], { type: 'message', message });
+    return message;
+};
+
+//mark everything the partner sent as read and send them a read receipt
+export async function markConversationRead(userId, partnerUsername) {
+    const conversation = await getConversation(userId, partnerUsername);
+    if(!conversation.conversationId) return [];
+    const result = await pool.query(
+        `
+        UPDATE messages SET read_at = NOW()
+        WHERE conversation_id = $1 AND sender_id = $2 AND read_at IS NULL
+        RETURNING id
+        `, [conversation.conversationId, conversation.partnerId]
+    );
+    const messageIds = result.rows.map(row => row.id);
+    if(messageIds.length > 0) {
+        pushToUsers([conversation.partnerId, userId], {
+            type: 'read',
+            reader: conversation.username,
+            messageIds: messageIds
+        });
+    };
+    return messageIds;
+};
+
+async function handleSocketMessage(ws, userId, data) {
+    let event;
+    try {
+        event = JSON.parse(data);
+    } catch(err) {
+        throw new AppError(400, 'invalid_json', 'Events must be JSON');
+    };
+    if(event.type === 'message') {
+        await sendMessage(userId, event.to, event.body);
+    } else if(event.type === 'read') {
+        await markConversationRead(userId, event.with);
+    } else {
+        throw badRequest(`Unknown event type '${event.type}'`);
+    };
+};
+
+//accept websocket connections on /api/chat?token=<access token>.
+//browsers can't set an authorization header on a websocket so the jwt travels in the query string
+export function attachChatServer(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async(req, socket, head) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        if(pathname !== chatPath) return socket.destroy();
+        let userId;
+        try {
+            const { id, issuedAt } = verifyAccessToken(searchParams.get('token'));
+            //suspended users and tokens from before a password reset can't connect either, same as authenticateToken
+            const result = await pool.query(
+                'SELECT id, password_changed_at FROM users WHERE id = $1 AND suspended_at IS NULL', [id]
+            );
+            if(!result.rows[0] || issuedBeforePasswordChange(issuedAt, result.rows[0].password_changed_at)) {
+                throw notFound('User not found');
+            };
+            userId = result.rows[0].id;
+        } catch(err) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        };
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, userId));
+    });
+
+    wss.on('connection', (ws, userId) => {
+        if(!sockets.has(userId)) sockets.set(userId, new Set());
+        sockets.get(userId).add(ws);
+        ws.isAlive = true;
+
+        ws.on('pong', () => ws.isAlive = true);
+        ws.on('message', data => {
+            //same envelope as http errors, tagged so the client can tell it apart from chat events
+            handleSocketMessage(ws, userId, data.toString()).catch(err => {
+                if(!(err instanceof AppError)) {
+                    logger.error('chat socket error', { userId, err });
+                    err = new AppError(500, 'internal_error', 'Something went wrong, please try again');
+                };
+                ws.send(JSON.stringify({ type: 'error', ...err.toJSON() }));
+            });
+        });
+        ws.on('close', () => {
+            sockets.get(userId)?.delete(ws);
+            if(sockets.get(userId)?.size === 0) sockets.delete(userId);
+        });
+    });
+
+    //drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for(const ws of wss.clients) {
+            if(!ws.isAlive) {
+                ws.terminate();
+                continue;
+            };
+            ws.isAlive = false;
+            ws.ping();
+        };
+    }, heartbeatIntervalMs);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+};
@@ -0,0 +1,185 @@
+import os from 'os';
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { profile, profiles, readSecret } from './env.js';
+
+//every setting the server uses, read and checked once at startup. a missing or malformed setting stops the server
+//with a list of everything wrong, instead of failing on the first request that needs it.
+//modules read settings from here rather than from process.env
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+//what each profile assumes for settings that aren't given. production has no origins to fall back on
+const profileDefaults = {
+    development: { corsOrigins: 'http://localhost:5173', storageDriver: 'local', mailDriver: 'console', bcryptCost: 12 },
+    //cheap hashes keep test runs fast
+    test: { corsOrigins: 'http://localhost:5173', storageDriver: 'local', mailDriver: 'console', bcryptCost: 4 },
+    production: { corsOrigins: null, storageDriver: 'cloudinary', mailDriver: 'smtp', bcryptCost: 12 }
+};
+
+const problems = [];
+
+//the variable's value, fallback when it is unset or blank
+function text(name, fallback) {
+    const value = process.env[name]?.trim();
+    return value ? value : fallback;
+};
+
+function required(name, value, hint = '') {
+    if(value === undefined) problems.push(`${name} is required${hint}`);
+    return value;
+};
+
+function integer(name, fallback, { min, max }) {
+    const raw = text(name);
+    if(raw === undefined) return fallback;
+    const value = Number(raw);
+    if(!Number.isInteger(value) || value < min || value > max) {
+        problems.push(`${name} must be a whole number from ${min} to ${max}, got '${raw}'`);
+        return fallback;
+    };
+    return value;
+};
+
+function flag(name, fallback) {
+    const raw = text(name);
+    if(raw === undefined) return fallback;
+    if(raw !== 'true' && raw !== 'false') {
+        problems.push(`${name} must be true or false, got '${raw}'`);
+        return fallback;
+    };
+    return raw === 'true';
+};
+
+function oneOf(name, fallback, options) {
+    const value = text(name, fallback).toLowerCase();
+    if(!options.includes(value)) {
+        problems.push(`${name} must be one of ${options.join(', ')}, got '${value}'`);
+        return fallback;
+    };
+    return value;
+};
+
+//an absolute http(s) url. trailing slashes are dropped so paths can be appended
+function url(name, raw) {
+    if(raw === undefined) return undefined;
+    try {
+        const parsed = new URL(raw);
+        if(parsed.protocol === 'http:' || parsed.protocol === 'https:') return raw.replace(/\/+$/, '');
+    } catch(err) {};
+    problems.push(`${name} must be an http or https url, got '${raw}'`);
+    return undefined;
+};
+
+//a browser origin is only scheme, host and port, e.g. https://app.example.com
+function origins(name, raw) {
+    return (raw ?? '').split(',').map(value => value.trim()).filter(Boolean).map(value => {
+        const normalized = url(name, value);
+        if(normalized && new URL(normalized).origin !== normalized) {
+            problems.push(`${name} entries must be origins without a path, got '${value}'`);
+            return undefined;
+        };
+        return normalized;
+    }).filter(Boolean);
+};
+
+function secret(name) {
+    try {
+        return readSecret(name);
+    } catch(err) {
+        problems.push(err.message);
+        //already reported, so it doesn't show up as missing as well
+        return '';
+    };
+};
+
+if(!profiles.includes(profile)) problems.push(`NODE_ENV must be one of ${profiles.join(', ')}, got '${profile}'`);
+const defaults = profileDefaults[profile] ?? profileDefaults.development;
+const production = profile === 'production';
+
+const port = integer('PORT', 4000, { min: 1, max: 65535 });
+
+const corsOrigins = origins('CORS_ORIGINS', text('CORS_ORIGINS', defaults.corsOrigins));
+if(corsOrigins.length === 0) {
+    required('CORS_ORIGINS', undefined, ', a comma separated list of the origins the frontend is served from');
+};
+
+const accessTokenSecret = required('ACCESS_TOKEN_SECRET', secret('ACCESS_TOKEN_SECRET'));
+if(production && accessTokenSecret && accessTokenSecret.length < 32) {
+    problems.push('ACCESS_TOKEN_SECRET must be at least 32 characters in production');
+};
+
+//driver and store names have to match the ones registered in lib/storage, lib/mailer, lib/rateLimit and lib/cache
+const storageDriver = oneOf('STORAGE_DRIVER', defaults.storageDriver, ['local', 'cloudinary']);
+const cloudinary = {
+    cloudName: text('CLOUDINARY_CLOUD_NAME'),
+    apiKey: text('CLOUDINARY_API_KEY'),
+    apiSecret: secret('CLOUDINARY_API_SECRET')
+};
+if(storageDriver === 'cloudinary') {
+    const hint = ' by the cloudinary storage driver';
+    required('CLOUDINARY_CLOUD_NAME', cloudinary.cloudName, hint);
+    required('CLOUDINARY_API_KEY', cloudinary.apiKey, hint);
+    required('CLOUDINARY_API_SECRET', cloudinary.apiSecret, hint);
+};
+
+const mailDriver = oneOf('MAIL_DRIVER', defaults.mailDriver, ['smtp', 'file', 'console']);
+const smtp = {
+    host: text('SMTP_HOST'),
+    port: integer('SMTP_PORT', 587, { min: 1, max: 65535 }),
+    secure: flag('SMTP_SECURE', false),
+    user: text('SMTP_USER'),
+    password: secret('SMTP_PASSWORD')
+};
+if(mailDriver === 'smtp') required('SMTP_HOST', smtp.host, ' by the smtp mail driver');
+
+//the db scripts connect with db/config.js alone, the server checks the connection settings up front too
+if(production) required('DATABASE_URI', secret('DATABASE_URI'), ' in production');
+
+const publicUrl = url('PUBLIC_URL', text('PUBLIC_URL'));
+if(production) required('PUBLIC_URL', publicUrl, ' in production, the address the api is reached at');
+
+const accessTokenLifetimeMinutes = integer('ACCESS_TOKEN_LIFETIME_MINUTES', 60, { min: 1, max: 24 * 60 });
+const refreshTokenLifetimeDays = integer('REFRESH_TOKEN_LIFETIME_DAYS', 30, { min: 1, max: 365 });
+
+const settings = {
+    profile,
+    production,
+    port,
+    //the api's own address, used in urls it hands out like avatars and calendar feeds
+    publicUrl: publicUrl ?? `http://localhost:${port}`,
+    corsOrigins,
+    //the frontend, links in emails point here. the first cors origin unless set
+    appUrl: url('APP_URL', text('APP_URL')) ?? corsOrigins[0],
+    //number of proxies in front of the app, so req.ip is the client's address
+    trustProxy: integer('TRUST_PROXY', 0, { min: 0, max: 10 }) || false,
+    logLevel: oneOf('LOG_LEVEL', 'info', ['debug', 'info', 'warn', 'error']),
+    shutdownTimeoutMs: integer('SHUTDOWN_TIMEOUT_MS', 10 * 1000, { min: 0, max: 5 * 60 * 1000 }),
+    databasePoolSize: integer('PGPOOL_MAX', 10, { min: 1, max: 100 }),
+    accessTokenSecret,
+    accessTokenLifetimeMs: accessTokenLifetimeMinutes * 60 * 1000,
+    refreshTokenLifetimeMs: refreshTokenLifetimeDays * 24 * 60 * 60 * 1000,
+    bcryptCost: integer('BCRYPT_COST', defaults.bcryptCost, { min: production ? 10 : 4, max: 15 }),
+    //changing it makes enabled two factor secrets unreadable. falls back to the access token secret
+    totpEncryptionKey: secret('TOTP_ENCRYPTION_KEY') ?? accessTokenSecret,
+    rateLimitStore: oneOf('RATE_LIMIT_STORE', 'memory', ['memory']),
+    cacheStore: oneOf('CACHE_STORE', 'memory', ['memory']),
+    storage: {
+        driver: storageDriver,
+        localDirectory: text('LOCAL_STORAGE_DIR', path.join(__dirname, '../uploads')),
+        cloudinary
+    },
+    mail: {
+        driver: mailDriver,
+        from: text('MAIL_FROM', 'Skill Swap <no-reply@skillswap.local>'),
+        directory: text('MAIL_DIR', path.join(os.tmpdir(), 'skillswap-mail')),
+        smtp
+    }
+};
+
+if(problems.length > 0) {
+    process.stderr.write(`invalid configuration for the ${profile} profile:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n`);
+    process.exit(1);
+};
+
+export const config = Object.freeze(settings);
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+//NODE_ENV picks the profile. variables already set in the environment win over .env.<profile>, which wins over .env.
+//shared by the server and the db scripts, so it reads files and nothing else
+export const profiles = ['development', 'test', 'production'];
+
+function readEnvFile(file) {
+    try {
+        return dotenv.parse(fs.readFileSync(file));
+    } catch(err) {
+        if(err.code === 'ENOENT') return {};
+        throw err;
+    };
+};
+
+const base = readEnvFile('.env');
+export const profile = process.env.NODE_ENV || base.NODE_ENV || 'development';
+
+for(const [name, value] of Object.entries({ ...base, ...readEnvFile(`.env.${profile}`) })) {
+    if(process.env[name] === undefined) process.env[name] = value;
+};
+
+//a secret comes from its environment variable or from the file named by <name>_FILE, the way docker and
+//kubernetes mount secrets. secrets never have defaults in code. undefined when neither is set
+export function readSecret(name) {
+    const file = process.env[`${name}_FILE`];
+    if(!file) return process.env[name] || undefined;
+    if(process.env[name]) throw new Error(`set ${name} or ${name}_FILE, not both`);
+    try {
+        return fs.readFileSync(file, 'utf8').trim() || undefined;
+    } catch(err) {
+        throw new Error(`${name}_FILE could not be read: ${err.message}`);
+    };
+};
@@ -0,0 +1,58 @@
+//every error the api sends uses one envelope:
+//
+//  {
+//      "error": {
+//          "code": "validation_failed",          machine readable, see the list below
+//          "message": "Some fields are invalid", safe to show to the user
+//          "fields": { "email": "Enter a valid email address" }   only present for per-field problems
+//      }
+//  }
+//
+//codes:
+//  bad_request         400  the request can't be processed as sent
+//  validation_failed   400  one or more fields failed validation, see fields
+//  invalid_json        400  the body isn't valid json
+//  invalid_upload      400  an uploaded file was rejected
+//  unauthorized        401  no credentials, or they are wrong
+//  invalid_token       403  the access token is invalid or expired
+//  forbidden           403  the signed in user isn't allowed to do this
+//  account_suspended   403  an admin suspended the account, the client should sign out
+//  not_found           404  the route or the thing it refers to doesn't exist
+//  conflict            409  the change clashes with existing data, fields may say which
+//  payload_too_large   413  the body or an uploaded file is too big
+//  rate_limited        429  too many attempts, the Retry-After header says how many seconds to wait
+//  internal_error      500  something broke on our side, details are only in the server log
+
+export class AppError extends Error {
+    constructor(status, code, message, fields) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    };
+
+    toJSON() {
+        return {
+            error: {
+                code: this.code,
+                message: this.message,
+                ...(this.fields && { fields: this.fields })
+            }
+        };
+    };
+};
+
+export const badRequest = (message, fields) => new AppError(400, 'bad_request', message, fields);
+export const validationFailed = (fields) => new AppError(400, 'validation_failed', 'Some fields are invalid', fields);
+export const unauthorized = (message = 'You need to sign in', fields) => new AppError(401, 'unauthorized', message, fields);
+export const forbidden = (message = 'You are not allowed to do that') => new AppError(403, 'forbidden', message);
+export const accountSuspended = () => new AppError(403, 'account_suspended', 'Your account has been suspended');
+export const notFound = (message = 'Not found') => new AppError(404, 'not_found', message);
+export const conflict = (message, fields) => new AppError(409, 'conflict', message, fields);
+
+//retryAfterMs is sent to the client as the Retry-After header, rounded up to whole seconds
+export const tooManyRequests = (message, retryAfterMs) => {
+    const err = new AppError(429, 'rate_limited', message);
+    err.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    return err;
+};
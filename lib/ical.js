@@ -0,0 +1,69 @@
+//minimal iCalendar (RFC 5545) writer for the session feed
+
+//text values escape backslashes, semicolons, commas and newlines
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+};
+
+//uri values can't be escaped like text. a line break would end the property and start another, so control characters go
+function cleanUri(uri) {
+    return String(uri).replace(/[\u0000-\u001f\u007f]/g, '');
+};
+
+//20250301T083000Z
+function formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+//lines longer than 75 bytes are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for(const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if(Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        };
+        current += char;
+    };
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+//events are { uid, start, end, summary, description, location, url, status, sequence, updatedAt }.
+//status is TENTATIVE, CONFIRMED or CANCELLED
+export function buildCalendar({ name, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Skill Swap//Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    const now = formatDate(new Date());
+    for(const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${formatDate(event.start)}`,
+            `DTEND:${formatDate(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `STATUS:${event.status}`,
+            `SEQUENCE:${event.sequence}`,
+            `LAST-MODIFIED:${formatDate(event.updatedAt)}`
+        );
+        if(event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if(event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if(event.url) lines.push(`URL:${cleanUri(event.url)}`);
+        lines.push('END:VEVENT');
+    };
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,45 @@
+//structured logging. every entry is one json line on stdout (stderr for warn and error), e.g.
+//  {"time":"2025-03-01T08:30:00.000Z","level":"info","msg":"request finished","requestId":"...","status":200}
+//LOG_LEVEL picks the lowest level written: debug, info (default), warn or error.
+//fields that look like credentials are replaced before anything is written
+
+import { config } from './config.js';
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = levels[config.logLevel];
+
+const redactedKeys = /pass(word)?|token|secret|authorization|cookie|^code$|recoverycodes/i;
+
+//copy value with credentials blanked out. errors keep their message and stack, which plain json would drop
+function redact(value, depth = 0) {
+    if(value instanceof Error) {
+        return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+    };
+    if(value === null || typeof value !== 'object' || depth > 5) return value;
+    if(Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    const copy = {};
+    for(const [key, item] of Object.entries(value)) {
+        copy[key] = redactedKeys.test(key) ? '[redacted]' : redact(item, depth + 1);
+    };
+    return copy;
+};
+
+function write(level, bound, msg, fields) {
+    if(levels[level] < minLevel) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...redact({ ...bound, ...fields }) };
+    const stream = levels[level] >= levels.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+function createLogger(bound = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bound, msg, fields),
+        info: (msg, fields) => write('info', bound, msg, fields),
+        warn: (msg, fields) => write('warn', bound, msg, fields),
+        error: (msg, fields) => write('error', bound, msg, fields),
+        //a logger that adds fields to every entry, e.g. the request id
+        child: fields => createLogger({ ...bound, ...fields })
+    };
+};
+
+export const logger = createLogger();
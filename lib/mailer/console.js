@@ -0,0 +1,8 @@
+//prints every mail to the console instead of sending it. for development
+export function createConsoleDriver({ from }) {
+    return {
+        async send({ to, subject, text }) {
+            console.log(`mail from ${from} to ${to}\nsubject: ${subject}\n\n${text}\n`);
+        }
+    };
+};
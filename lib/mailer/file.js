@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+//writes every mail to its own json file instead of sending it. for development and tests
+export function createFileDriver({ directory, from }) {
+    return {
+        async send({ to, subject, text, html }) {
+            await fs.mkdir(directory, { recursive: true });
+            const fileName = `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.json`;
+            await fs.writeFile(
+                path.join(directory, fileName),
+                JSON.stringify({ from, to, subject, text, html, sentAt: new Date().toISOString() }, null, 4)
+            );
+        }
+    };
+};
@@ -0,0 +1,21 @@
+import { config } from '../config.js';
+import { createSmtpDriver } from './smtp.js';
+import { createFileDriver } from './file.js';
+import { createConsoleDriver } from './console.js';
+
+//every driver exposes the same interface: send({ to, subject, text, html })
+const drivers = {
+    smtp: () => createSmtpDriver({ ...config.mail.smtp, from: config.mail.from }),
+    file: () => createFileDriver({ directory: config.mail.directory, from: config.mail.from }),
+    console: () => createConsoleDriver({ from: config.mail.from })
+};
+
+//pick the driver named by MAIL_DRIVER. smtp in production, console everywhere else unless told otherwise
+export function createMailer(name = config.mail.driver) {
+    if(!drivers[name]) {
+        throw new Error(`unknown MAIL_DRIVER '${name}', expected one of ${Object.keys(drivers).join(', ')}`);
+    };
+    return drivers[name]();
+};
+
+export const mailer = createMailer();
@@ -0,0 +1,33 @@
+import { config } from '../config.js';
+
+//the emails the app sends. each returns { subject, text, html } ready for mailer.send
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+function appUrl(pathname, token) {
+    return `${config.appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+export function verificationEmail(username, token) {
+    const link = appUrl('/verify-email', token);
+    return {
+        subject: 'Confirm your Skill Swap email',
+        text: `Hi ${username},\n\nConfirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(username)},</p><p>Confirm your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+    };
+};
+
+export function passwordResetEmail(username, token) {
+    const link = appUrl('/reset-password', token);
+    return {
+        subject: 'Reset your Skill Swap password',
+        text: `Hi ${username},\n\nSomeone asked to reset your password. If it was you, open the link below:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(username)},</p><p>Someone asked to reset your password. If it was you, open the link below:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you didn't ask for this you can ignore this email.</p>`
+    };
+};
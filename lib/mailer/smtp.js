@@ -0,0 +1,16 @@
+import nodemailer from 'nodemailer';
+
+//sends mail through any smtp server
+export function createSmtpDriver({ host, port, secure, user, password, from }) {
+    const transport = nodemailer.createTransport({
+        host: host,
+        port: port,
+        secure: secure,
+        auth: user ? { user: user, pass: password } : undefined
+    });
+    return {
+        async send({ to, subject, text, html }) {
+            await transport.sendMail({ from, to, subject, text, html });
+        }
+    };
+};
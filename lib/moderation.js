@@ -0,0 +1,22 @@
+import { disconnectUser } from './chat.js';
+import { closeUserStreams } from './notifications.js';
+
+export const reportReasons = ['spam', 'harassment', 'inappropriate_content', 'fake_profile', 'scam', 'other'];
+
+//suspend a user inside the caller's transaction and sign them out of every device.
+//returns false if they were already suspended
+export async function suspendUser(client, userId, reason) {
+    const result = await client.query(
+        'UPDATE users SET suspended_at = NOW(), suspension_reason = $2 WHERE id = $1 AND suspended_at IS NULL',
+        [userId, reason]
+    );
+    if(result.rowCount === 0) return false;
+    await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+    return true;
+};
+
+//access tokens are checked against the suspension on every request, open connections have to be closed by hand
+export function disconnectSuspendedUser(userId) {
+    disconnectUser(userId, 'Account suspended');
+    closeUserStreams(userId);
+};
@@ -0,0 +1,160 @@
+import { pool } from '../db/pool.js';
+import { logger } from './logger.js';
+
+//notification types:
+//  match_request_received   actor sent the user a match request
+//  match_request_accepted   actor accepted the user's match request
+//  match_request_declined   actor declined the user's match request
+//  match_removed            actor unmatched the user
+//  session_proposed         actor proposed a session, data has sessionId, skill and startsAt
+//  session_accepted         actor accepted the user's proposed time, same data
+//  session_rescheduled      actor proposed a new time for a session, same data
+//  session_cancelled        actor cancelled a session, same data
+//  review_received          actor reviewed the user, data has reviewId, skill and rating
+//  skill_endorsed           actor endorsed a skill the user teaches, data has skill
+export const notificationTypes = {
+    matchRequestReceived: 'match_request_received',
+    matchRequestAccepted: 'match_request_accepted',
+    matchRequestDeclined: 'match_request_declined',
+    matchRemoved: 'match_removed',
+    sessionProposed: 'session_proposed',
+    sessionAccepted: 'session_accepted',
+    sessionRescheduled: 'session_rescheduled',
+    sessionCancelled: 'session_cancelled',
+    reviewReceived: 'review_received',
+    skillEndorsed: 'skill_endorsed'
+};
+
+const heartbeatIntervalMs = 25 * 1000;
+
+//user id -> open event streams
+const streams = new Map();
+
+//the columns every notification is sent to clients with
+export const notificationColumns = `
+    n.id,
+    n.type,
+    a.username actor,
+    a.profile_picture actor_picture,
+    n.data,
+    n.created_at,
+    n.read_at
+`;
+
+export async function unreadCount(userId) {
+    const result = await pool.query(
+        'SELECT COUNT(*)::INTEGER count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]
+    );
+    return result.rows[0].count;
+};
+
+function writeEvent(res, event, data, id) {
+    if(id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+//push an event to every open stream of the user
+function pushToUser(userId, event, data, id) {
+    for(const res of streams.get(userId) || []) writeEvent(res, event, data, id);
+};
+
+//store a notification for recipient caused by actor, both user ids, and push it to their open streams.
+//the action that caused it already happened, so a failure here is logged rather than thrown
+export async function notify({ recipient, actor, type, data = {} }) {
+    try {
+        const result = await pool.query(
+            `
+            WITH inserted AS (
+                INSERT INTO notifications(user_id, actor_id, type, data)
+                VALUES($1, $2, $3, $4)
+                RETURNING *
+            )
+            SELECT n.user_id, ${notificationColumns}
+            FROM inserted n
+            LEFT JOIN users a ON a.id = n.actor_id
+            `, [recipient, actor, type, data]
+        );
+        const row = result.rows[0];
+        if(!row) return;
+        const { user_id: userId, ...notification } = row;
+        pushToUser(userId, 'notification', notification, notification.id);
+        await pushUnreadCount(userId);
+    } catch(err) {
+        logger.error('error creating notification', { type, err });
+    };
+};
+
+//drop unread notifications that no longer make sense, e.g. a request that was cancelled before it was seen
+export async function withdrawNotifications({ recipient, actor, type }) {
+    try {
+        await pool.query(
+            `
+            DELETE FROM notifications
+            WHERE user_id = $1
+            AND actor_id = $2
+            AND type = $3
+            AND read_at IS NULL
+            `, [recipient, actor, type]
+        );
+    } catch(err) {
+        logger.error('error withdrawing notifications', { type, err });
+    };
+};
+
+//let other tabs of the same user update their badge after notifications were read
+export async function pushUnreadCount(userId) {
+    if(streams.has(userId)) {
+        pushToUser(userId, 'unread-count', { unreadCount: await unreadCount(userId) });
+    };
+};
+
+//turn the response into a server-sent event stream for the user. a reconnecting EventSource sends
+//Last-Event-ID and gets whatever it missed first
+export async function openStream(req, res, userId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        //stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    if(!streams.has(userId)) streams.set(userId, new Set());
+    streams.get(userId).add(res);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatIntervalMs);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streams.get(userId)?.delete(res);
+        if(streams.get(userId)?.size === 0) streams.delete(userId);
+    });
+
+    const lastEventId = Number(req.headers['last-event-id']);
+    if(Number.isInteger(lastEventId) && lastEventId > 0) {
+        const missed = await pool.query(
+            `
+            SELECT ${notificationColumns}
+            FROM notifications n
+            LEFT JOIN users a ON a.id = n.actor_id
+            WHERE n.user_id = $1 AND n.id > $2
+            ORDER BY n.id ASC
+            `, [userId, lastEventId]
+        );
+        for(const notification of missed.rows) writeEvent(res, 'notification', notification, notification.id);
+    };
+    writeEvent(res, 'unread-count', { unreadCount: await unreadCount(userId) });
+};
+
+export function closeUserStreams(userId) {
+    for(const res of streams.get(userId) || []) res.end();
+    streams.delete(userId);
+};
+
+//end every open stream so shutdown isn't held up by them
+export function closeStreams() {
+    for(const userStreams of streams.values()) {
+        for(const res of userStreams) res.end();
+    };
+    streams.clear();
+};
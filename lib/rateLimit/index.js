@@ -0,0 +1,20 @@
+import { config } from '../config.js';
+import { createMemoryStore } from './memory.js';
+
+//every store exposes the same interface, all async so a store can live outside the process:
+//  hit(key, windowMs)  count one hit, the window starts at the first hit. resolves to { count, resetAt }
+//  get(key)            the current { count, resetAt }, or null once the window has passed
+//  reset(key)          forget the key
+const stores = {
+    memory: () => createMemoryStore()
+};
+
+//pick the store named by RATE_LIMIT_STORE, memory unless told otherwise
+export function createRateLimitStore(name = config.rateLimitStore) {
+    if(!stores[name]) {
+        throw new Error(`unknown RATE_LIMIT_STORE '${name}', expected one of ${Object.keys(stores).join(', ')}`);
+    };
+    return stores[name]();
+};
+
+export const rateLimitStore = createRateLimitStore();
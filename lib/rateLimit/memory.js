@@ -0,0 +1,43 @@
+//keeps counters in process memory. counters are lost on restart and aren't shared between instances,
+//so running more than one instance needs a shared store instead
+export function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    function current(key) {
+        const entry = entries.get(key);
+        if(!entry) return null;
+        if(entry.resetAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        };
+        return entry;
+    };
+
+    //forget expired counters so the map doesn't grow with every ip and username ever seen
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for(const [key, entry] of entries) {
+            if(entry.resetAt <= now) entries.delete(key);
+        };
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    return {
+        async hit(key, windowMs) {
+            let entry = current(key);
+            if(!entry) {
+                entry = { count: 0, resetAt: Date.now() + windowMs };
+                entries.set(key, entry);
+            };
+            entry.count++;
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = current(key);
+            return entry && { ...entry };
+        },
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+};
@@ -0,0 +1,43 @@
+//refresh tokens travel in an httpOnly cookie scoped to /api, the database only keeps their hash
+import crypto from 'crypto';
+import { pool } from '../db/pool.js';
+import { createToken, hashToken } from './tokens.js';
+import { config } from './config.js';
+
+export const refreshTokenCookie = 'refreshToken';
+const refreshTokenLifetimeMs = config.refreshTokenLifetimeMs;
+
+function setRefreshCookie(res, token) {
+    res.cookie(refreshTokenCookie, token, {
+        httpOnly: true,
+        secure: config.production,
+        //frontend and api live on different origins in production
+        sameSite: config.production ? 'none' : 'lax',
+        path: '/api',
+        maxAge: refreshTokenLifetimeMs
+    });
+};
+
+export function clearRefreshCookie(res) {
+    res.clearCookie(refreshTokenCookie, {
+        httpOnly: true,
+        secure: config.production,
+        sameSite: config.production ? 'none' : 'lax',
+        path: '/api'
+    });
+};
+
+//create a refresh token for the user and store its hash.
+//every token belongs to a family (one sign in) so a reused token can revoke the whole chain
+export async function issueRefreshToken(res, userId, familyId = crypto.randomUUID()) {
+    const token = createToken();
+    const result = await pool.query(
+        `
+        INSERT INTO refresh_tokens(user_id, token_hash, family_id, expires_at)
+        VALUES($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')
+        RETURNING id
+        `, [userId, hashToken(token), familyId, refreshTokenLifetimeMs]
+    );
+    setRefreshCookie(res, token);
+    return result.rows[0].id;
+};
@@ -0,0 +1,26 @@
+import { pool } from '../db/pool.js';
+
+//reviews can be edited or deleted for this long after they were first written
+export const reviewEditWindowDays = 14;
+export const reviewEditWindowMs = reviewEditWindowDays * 24 * 60 * 60 * 1000;
+
+//average rating and number of reviews of a user, overall and per skill they were reviewed for
+export async function ratingSummary(userId) {
+    const result = await pool.query(
+        `
+        SELECT s.name skill, ROUND(AVG(r.rating), 2)::FLOAT average, COUNT(*)::INTEGER count
+        FROM reviews r
+        JOIN skills s ON s.id = r.skill_id
+        WHERE r.reviewee_id = $1
+        GROUP BY ROLLUP(s.name)
+        ORDER BY s.name NULLS FIRST
+        `, [userId]
+    );
+    //the rollup row without a skill is the overall figure
+    const [overall, ...skills] = result.rows;
+    return {
+        average: overall ? overall.average : null,
+        count: overall ? overall.count : 0,
+        skills: skills
+    };
+};
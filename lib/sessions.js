@@ -0,0 +1,82 @@
+import { pool } from '../db/pool.js';
+import { conflict } from './errors.js';
+
+//sessions as one of the two users sees them. $1 is the viewing user's id
+export const sessionSelect = `
+    SELECT
+        s.id,
+        s.status,
+        sk.name skill,
+        s.starts_at,
+        s.starts_at + s.duration_minutes * INTERVAL '1 minute' ends_at,
+        s.duration_minutes,
+        s.location,
+        s.meeting_url,
+        s.notes,
+        p.username partner,
+        p.profile_picture partner_picture,
+        pb.username proposed_by,
+        (s.status = 'proposed' AND s.proposed_by <> $1) awaiting_my_response,
+        cb.username cancelled_by,
+        s.cancel_reason,
+        s.sequence,
+        s.created_at,
+        s.updated_at
+    FROM sessions s
+    JOIN users p ON p.id = CASE WHEN s.created_by = $1 THEN s.partner_id ELSE s.created_by END
+    JOIN users pb ON pb.id = s.proposed_by
+    LEFT JOIN skills sk ON sk.id = s.skill_id
+    LEFT JOIN users cb ON cb.id = s.cancelled_by
+`;
+
+//lock both users' rows so two overlapping sessions can't be booked at the same moment.
+//locks are taken in id order so two transactions locking the same pair can't deadlock
+export async function lockUsers(client, userIds) {
+    await client.query(
+        'SELECT id FROM users WHERE id = ANY($1::INTEGER[]) ORDER BY id FOR UPDATE', [userIds]
+    );
+};
+
+//throw a conflict if the time overlaps a session either user already has, proposed or confirmed.
+//the partner's other sessions are private, so only the user's own clashes are described
+export async function assertNoOverlap(client, { userId, partnerId, partnerUsername, startsAt, durationMinutes, exceptSessionId = null }) {
+    const result = await client.query(
+        `
+        SELECT s.id, s.starts_at, (s.created_by = $1 OR s.partner_id = $1) mine
+        FROM sessions s
+        WHERE s.status <> 'cancelled'
+        AND s.id IS DISTINCT FROM $5
+        AND (s.created_by = ANY(ARRAY[$1, $2]::INTEGER[]) OR s.partner_id = ANY(ARRAY[$1, $2]::INTEGER[]))
+        AND s.starts_at < $3::TIMESTAMPTZ + $4 * INTERVAL '1 minute'
+        AND s.starts_at + s.duration_minutes * INTERVAL '1 minute' > $3::TIMESTAMPTZ
+        ORDER BY mine DESC, s.starts_at
+        LIMIT 1
+        `, [userId, partnerId, startsAt, durationMinutes, exceptSessionId]
+    );
+    const clash = result.rows[0];
+    if(!clash) return;
+    if(clash.mine) {
+        throw conflict(
+            `This overlaps with your session at ${clash.starts_at.toISOString()}`,
+            { startsAt: 'You already have a session at this time' }
+        );
+    };
+    throw conflict(
+        `${partnerUsername} already has a session at this time`,
+        { startsAt: `${partnerUsername} is busy at this time` }
+    );
+};
+
+//cancel the upcoming sessions of two users that are no longer matched, as if username cancelled them
+export async function cancelUpcomingSessions(userId, partnerId, reason) {
+    const result = await pool.query(
+        `
+        UPDATE sessions
+        SET status = 'cancelled', cancelled_by = $1, cancel_reason = $3, sequence = sequence + 1, updated_at = NOW()
+        WHERE ((created_by = $1 AND partner_id = $2) OR (created_by = $2 AND partner_id = $1))
+        AND status <> 'cancelled'
+        AND starts_at > NOW()
+        `, [userId, partnerId, reason]
+    );
+    return result.rowCount;
+};
@@ -0,0 +1,52 @@
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+const shutdownTimeoutMs = config.shutdownTimeoutMs;
+
+let shuttingDown = false;
+
+export function isShuttingDown() {
+    return shuttingDown;
+};
+
+//tell keep-alive clients to reconnect elsewhere once shutdown has started
+export function refuseKeepAliveWhileShuttingDown(req, res, next) {
+    if(shuttingDown) res.set('Connection', 'close');
+    next();
+};
+
+//on SIGTERM/SIGINT stop accepting connections, let in-flight requests finish and exit.
+//beforeClose ends long lived connections (websockets) that would keep the server open,
+//afterClose releases resources the drained requests were using (the db pool).
+//gives up and exits after SHUTDOWN_TIMEOUT_MS
+export function handleShutdown(server, { beforeClose = () => {}, afterClose = () => {} } = {}) {
+    async function shutdown(signal) {
+        if(shuttingDown) return;
+        shuttingDown = true;
+        logger.info('draining connections', { signal });
+
+        const forceExit = setTimeout(() => {
+            logger.error('graceful shutdown timed out, exiting');
+            process.exit(1);
+        }, shutdownTimeoutMs);
+        forceExit.unref();
+
+        try {
+            await beforeClose();
+            await new Promise((resolve, reject) => {
+                server.close(err => err ? reject(err) : resolve());
+                //idle keep-alive connections would otherwise hold server.close open until they time out
+                server.closeIdleConnections();
+            });
+            await afterClose();
+            logger.info('shutdown complete');
+            process.exit(0);
+        } catch(err) {
+            logger.error('error during shutdown', { err });
+            process.exit(1);
+        };
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+};
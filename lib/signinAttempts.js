@@ -0,0 +1,39 @@
+import { rateLimitStore } from './rateLimit/index.js';
+
+//failed sign ins are counted per username, whether or not the account exists,
+//so the lockout can't be used to find out which usernames are taken.
+//the count is kept per address as well, someone guessing from elsewhere can't lock the owner out
+//of their own account. guessing from many addresses at once is held back by the per ip rate limits
+const failureWindowMs = 15 * 60 * 1000;
+//failures answered without any delay
+const freeFailures = 3;
+const baseDelayMs = 250;
+const maxDelayMs = 8 * 1000;
+const lockoutThreshold = 10;
+const lockoutMs = 15 * 60 * 1000;
+
+const failuresKey = (username, ip) => `signin-failures:${username.toLowerCase()}:${ip}`;
+const lockoutKey = (username, ip) => `signin-lockout:${username.toLowerCase()}:${ip}`;
+
+//ms until the account can be signed into again from ip, 0 if it isn't locked
+export async function lockedForMs(username, ip) {
+    const lockout = await rateLimitStore.get(lockoutKey(username, ip));
+    return lockout ? Math.max(lockout.resetAt - Date.now(), 0) : 0;
+};
+
+//count a failed attempt. resolves to how long to hold back the response,
+//doubling with every failure past freeFailures until the account gets locked
+export async function recordFailedSignin(username, ip) {
+    const { count } = await rateLimitStore.hit(failuresKey(username, ip), failureWindowMs);
+    if(count >= lockoutThreshold) {
+        await rateLimitStore.hit(lockoutKey(username, ip), lockoutMs);
+        await rateLimitStore.reset(failuresKey(username, ip));
+        return 0;
+    };
+    if(count <= freeFailures) return 0;
+    return Math.min(baseDelayMs * 2 ** (count - freeFailures - 1), maxDelayMs);
+};
+
+export async function clearFailedSignins(username, ip) {
+    await rateLimitStore.reset(failuresKey(username, ip));
+};
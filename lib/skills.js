@@ -0,0 +1,124 @@
+import { pool } from '../db/pool.js';
+import { validationFailed } from './errors.js';
+import { cacheKeys, cached } from './cache/index.js';
+
+//how good someone is at a skill, lowest first
+export const skillLevels = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+//the users_skills columns behind each side of a user's list
+export const skillSides = {
+    learning: { flag: 'is_learning', rank: 'learning_rank' },
+    teaching: { flag: 'is_teaching', rank: 'teaching_rank' }
+};
+
+const skillCatalogTtlMs = 10 * 60 * 1000;
+
+//a target at or below the current level leaves nothing to learn
+export function levelError(level, targetLevel) {
+    if(level && targetLevel && skillLevels.indexOf(targetLevel) <= skillLevels.indexOf(level)) {
+        return 'Target level must be above your current level';
+    };
+    return null;
+};
+
+//the user's ranked skills on one side, first priority first
+export async function skillRanking(client, userId, side) {
+    const { rank } = skillSides[side];
+    const result = await client.query(
+        `
+        SELECT s.name FROM users_skills us JOIN skills s ON s.id = us.skill_id
+        WHERE us.user_id = $1 AND us.${rank} IS NOT NULL
+        ORDER BY us.${rank}, s.name
+        `, [userId]
+    );
+    return result.rows.map(row => row.name);
+};
+
+//rank skills first to last on one side of the user's list, skills left out lose their rank.
+//every skill has to be on that side already
+export async function setSkillRanking(client, userId, side, skills) {
+    const { flag, rank } = skillSides[side];
+    const listed = await client.query(
+        `
+        SELECT s.name FROM users_skills us JOIN skills s ON s.id = us.skill_id
+        WHERE us.user_id = $1 AND us.${flag} AND s.name = ANY($2::TEXT[])
+        `, [userId, skills]
+    );
+    const found = listed.rows.map(row => row.name);
+    const missing = skills.filter(skill => !found.includes(skill));
+    if(missing.length > 0) throw validationFailed({ skills: `Not on your ${side} list: ${missing.join(', ')}` });
+    await client.query(`UPDATE users_skills SET ${rank} = NULL WHERE user_id = $1 AND ${rank} IS NOT NULL`, [userId]);
+    await client.query(
+        `
+        UPDATE users_skills us SET ${rank} = ordered.rank
+        FROM UNNEST($2::TEXT[]) WITH ORDINALITY ordered(name, rank)
+        JOIN skills s ON s.name = ordered.name
+        WHERE us.user_id = $1 AND us.skill_id = s.id
+        `, [userId, skills]
+    );
+};
+
+//usernames that endorsed the user for a skill, oldest first. suspended endorsers are left out
+export async function skillEndorsers(userId, skill) {
+    const result = await pool.query(
+        `
+        SELECT e.username
+        FROM skill_endorsements se
+        JOIN users e ON e.id = se.endorser_id
+        WHERE se.user_id = $1 AND se.skill_id = (SELECT id FROM skills WHERE name = $2) AND e.suspended_at IS NULL
+        ORDER BY se.created_at
+        `, [userId, skill]
+    );
+    return result.rows.map(row => row.username);
+};
+
+//both sides of a user's list for their profile, each in priority order then alphabetical.
+//skills they teach come with who endorsed them
+export async function profileSkills(userId) {
+    const learning = await pool.query(
+        `
+        SELECT s.name skill, us.level, us.target_level, us.learning_rank rank
+        FROM users_skills us JOIN skills s ON s.id = us.skill_id
+        WHERE us.user_id = $1 AND us.is_learning
+        ORDER BY us.learning_rank NULLS LAST, s.name
+        `, [userId]
+    );
+    const teaching = await pool.query(
+        `
+        SELECT
+            s.name skill,
+            us.level,
+            us.teaching_rank rank,
+            ARRAY(
+                SELECT e.username FROM skill_endorsements se JOIN users e ON e.id = se.endorser_id
+                WHERE se.user_id = us.user_id AND se.skill_id = us.skill_id AND e.suspended_at IS NULL
+                ORDER BY se.created_at
+            ) endorsed_by
+        FROM users_skills us JOIN skills s ON s.id = us.skill_id
+        WHERE us.user_id = $1 AND us.is_teaching
+        ORDER BY us.teaching_rank NULLS LAST, s.name
+        `, [userId]
+    );
+    return {
+        learning: learning.rows,
+        teaching: teaching.rows.map(row => ({ ...row, endorsements: row.endorsed_by.length }))
+    };
+};
+
+//every category with the names of the skills listed under it, both alphabetical. categories without skills are left out.
+//cached until the catalog changes, see forgetSkillCatalog
+export function skillCatalog() {
+    return cached(cacheKeys.skillCatalog, skillCatalogTtlMs, async() => {
+        const result = await pool.query(
+            `
+            SELECT c.category, ARRAY_AGG(s.name ORDER BY s.name) skills
+            FROM categories c
+            JOIN categories_skills cs ON cs.category_id = c.id
+            JOIN skills s ON s.id = cs.skill_id
+            GROUP BY c.category
+            ORDER BY c.category
+            `
+        );
+        return result.rows;
+    });
+};
@@ -0,0 +1,150 @@
+import { string, object } from './validation.js';
+
+export const linkVisibilities = ['public', 'matches'];
+
+//supported platforms. a link can be sent as a full address or just the handle, either way it is stored
+//as the canonical profile url built by url(). hosts are compared without www. or m., path picks the handle
+//out of a pasted address. website takes any web address and has no handle
+export const socialPlatforms = {
+    github: {
+        label: 'GitHub',
+        hosts: ['github.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[a-z\d](?:[a-z\d-]{0,38})$/i,
+        url: handle => `https://github.com/${handle}`
+    },
+    gitlab: {
+        label: 'GitLab',
+        hosts: ['gitlab.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[\w.-]{2,255}$/,
+        url: handle => `https://gitlab.com/${handle}`
+    },
+    linkedin: {
+        label: 'LinkedIn',
+        hosts: ['linkedin.com'],
+        path: /^\/in\/([^/]+)\/?$/,
+        handle: /^[\w-]{3,100}$/,
+        url: handle => `https://www.linkedin.com/in/${handle}`
+    },
+    instagram: {
+        label: 'Instagram',
+        hosts: ['instagram.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[\w.]{1,30}$/,
+        url: handle => `https://www.instagram.com/${handle}`
+    },
+    x: {
+        label: 'X',
+        hosts: ['x.com', 'twitter.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^\w{1,15}$/,
+        url: handle => `https://x.com/${handle}`
+    },
+    facebook: {
+        label: 'Facebook',
+        hosts: ['facebook.com', 'fb.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[\w.]{5,50}$/,
+        url: handle => `https://www.facebook.com/${handle}`
+    },
+    youtube: {
+        label: 'YouTube',
+        hosts: ['youtube.com'],
+        path: /^\/@([^/]+)\/?$/,
+        handle: /^[\w.-]{3,30}$/,
+        url: handle => `https://www.youtube.com/@${handle}`
+    },
+    tiktok: {
+        label: 'TikTok',
+        hosts: ['tiktok.com'],
+        path: /^\/@([^/]+)\/?$/,
+        handle: /^[\w.]{2,24}$/,
+        url: handle => `https://www.tiktok.com/@${handle}`
+    },
+    behance: {
+        label: 'Behance',
+        hosts: ['behance.net'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[\w-]{3,50}$/,
+        url: handle => `https://www.behance.net/${handle}`
+    },
+    dribbble: {
+        label: 'Dribbble',
+        hosts: ['dribbble.com'],
+        path: /^\/([^/]+)\/?$/,
+        handle: /^[\w-]{2,50}$/,
+        url: handle => `https://dribbble.com/${handle}`
+    },
+    website: {
+        label: 'Website'
+    }
+};
+
+function parseUrl(text) {
+    try {
+        const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+        if(url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+        return url;
+    } catch(err) {
+        return null;
+    };
+};
+
+//resolves to { value } with the canonical url, or { error } saying what is wrong with the link
+export function normalizeSocialLink(platformName, text) {
+    const platform = socialPlatforms[platformName];
+    if(!platform.hosts) {
+        const url = parseUrl(text);
+        if(!url || !url.hostname.includes('.')) return { error: 'Enter a web address like https://example.com' };
+        return { value: url.href };
+    };
+    let handle = text.replace(/^@/, '');
+    const looksLikeUrl = text.includes('/') || platform.hosts.some(host => text.toLowerCase().includes(host));
+    if(looksLikeUrl) {
+        const url = parseUrl(text);
+        const host = url?.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+        if(!url || !platform.hosts.includes(host)) return { error: `This isn't a ${platform.label} address` };
+        const match = platform.path.exec(url.pathname);
+        if(!match) return { error: `Link to your ${platform.label} profile` };
+        //a broken escape like %E0%A4%A can't be decoded, so there is no username to check
+        try {
+            handle = decodeURIComponent(match[1]);
+        } catch(err) {
+            return { error: `Link to your ${platform.label} profile` };
+        };
+    };
+    if(!platform.handle.test(handle)) return { error: `'${handle}' isn't a valid ${platform.label} username` };
+    return { value: platform.url(handle) };
+};
+
+//{ platform, url, visibility } with url normalized. url may also be a bare handle like @ava.plays
+export function socialLinkRule(options = {}) {
+    const fields = object({
+        platform: string({ label: 'Platform', oneOf: Object.keys(socialPlatforms) }),
+        url: string({ label: 'Link', max: 2048 }),
+        visibility: string({ label: 'Visibility', optional: true, oneOf: linkVisibilities })
+    }, { label: 'Link', ...options });
+    return async(value) => {
+        const result = await fields(value);
+        if(result.error || result.value == null) return result;
+        const url = normalizeSocialLink(result.value.platform, result.value.url);
+        if(url.error) return { error: `${socialPlatforms[result.value.platform].label}: ${url.error}` };
+        return { value: { ...result.value, url: url.value } };
+    };
+};
+
+//add links or replace the link already saved for the same platform, keeping its place and visibility
+//unless a new visibility is sent. new links go to the end in the order given
+export async function upsertSocialLinks(client, userId, links) {
+    for(const { platform, url, visibility } of links) {
+        await client.query(
+            `
+            INSERT INTO social_links(user_id, platform, url, visibility, position)
+            VALUES($1, $2, $3, COALESCE($4, 'public'), (SELECT COALESCE(MAX(position) + 1, 0) FROM social_links WHERE user_id = $1))
+            ON CONFLICT (user_id, platform) DO UPDATE
+            SET url = EXCLUDED.url, visibility = COALESCE($4, social_links.visibility)
+            `, [userId, platform, url, visibility]
+        );
+    };
+};
@@ -0,0 +1,23 @@
+import { v2 as cloudinary } from 'cloudinary';
+
+//stores files on cloudinary. keys become cloudinary public ids
+export function createCloudinaryDriver({ cloudName, apiKey, apiSecret }) {
+    if(!cloudName || !apiKey || !apiSecret) {
+        throw new Error('the cloudinary storage driver needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    };
+    cloudinary.config({
+        cloud_name: cloudName,
+        api_key: apiKey,
+        api_secret: apiSecret
+    });
+    return {
+        async save(key, data, contentType) {
+            const dataUri = `data:${contentType};base64,${data.toString('base64')}`;
+            const result = await cloudinary.uploader.upload(dataUri, { public_id: key, overwrite: true });
+            return result.secure_url;
+        },
+        async remove(key) {
+            await cloudinary.uploader.destroy(key);
+        }
+    };
+};
@@ -0,0 +1,26 @@
+import { config } from '../config.js';
+import { createCloudinaryDriver } from './cloudinary.js';
+import { createLocalDriver } from './local.js';
+
+//where the local driver keeps files and the url prefix express serves them under
+export const localStorageDirectory = config.storage.localDirectory;
+export const localStorageRoute = '/uploads';
+
+//every driver exposes the same interface: save(key, data, contentType) resolving to a public url, and remove(key)
+const drivers = {
+    cloudinary: () => createCloudinaryDriver(config.storage.cloudinary),
+    local: () => createLocalDriver({
+        directory: localStorageDirectory,
+        publicUrl: config.publicUrl + localStorageRoute
+    })
+};
+
+//pick the driver named by STORAGE_DRIVER. cloudinary in production, local disk everywhere else unless told otherwise
+export function createStorage(name = config.storage.driver) {
+    if(!drivers[name]) {
+        throw new Error(`unknown STORAGE_DRIVER '${name}', expected one of ${Object.keys(drivers).join(', ')}`);
+    };
+    return drivers[name]();
+};
+
+export const storage = createStorage();
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+//file extension for each content type the app stores
+const extensions = {
+    'image/webp': '.webp',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+//stores files on the server's own disk. the directory is served by express at publicUrl
+export function createLocalDriver({ directory, publicUrl }) {
+    async function findFile(key) {
+        for(const extension of Object.values(extensions)) {
+            const filePath = path.join(directory, key + extension);
+            try {
+                await fs.access(filePath);
+                return filePath;
+            } catch(err) {
+                continue;
+            };
+        };
+        return null;
+    };
+
+    return {
+        async save(key, data, contentType) {
+            const fileName = key + (extensions[contentType] || '');
+            const filePath = path.join(directory, fileName);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, data);
+            return `${publicUrl}/${fileName}`;
+        },
+        async remove(key) {
+            const filePath = await findFile(key);
+            if(filePath) await fs.unlink(filePath);
+        }
+    };
+};
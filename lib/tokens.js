@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { pool } from '../db/pool.js';
+
+//opaque tokens are random strings. only a sha256 hash is stored so a leaked table can't be replayed
+export function createToken() {
+    return crypto.randomBytes(48).toString('base64url');
+};
+
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+//create a single use token for the user, replacing any unused one with the same purpose
+export async function issueUserToken(userId, purpose, lifetimeMs) {
+    const token = createToken();
+    await pool.query('DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2', [userId, purpose]);
+    await pool.query(
+        `
+        INSERT INTO user_tokens(user_id, purpose, token_hash, expires_at)
+        VALUES($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')
+        `, [userId, purpose, hashToken(token), lifetimeMs]
+    );
+    return token;
+};
+
+//the user id of a token that can still be used, without using it up. for flows that allow retries,
+//consumeUserToken once the rest of the request has succeeded
+export async function findUserToken(token, purpose) {
+    if(typeof token !== 'string' || !token) return null;
+    const result = await pool.query(
+        `
+        SELECT user_id FROM user_tokens
+        WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+        `, [hashToken(token), purpose]
+    );
+    return result.rows[0]?.user_id ?? null;
+};
+
+//mark a token as used and return its user id, or null if it is unknown, expired or already used.
+//a single update so the same token can't be redeemed twice by concurrent requests
+export async function consumeUserToken(token, purpose) {
+    if(typeof token !== 'string' || !token) return null;
+    const result = await pool.query(
+        `
+        UPDATE user_tokens SET used_at = NOW()
+        WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+        `, [hashToken(token), purpose]
+    );
+    return result.rows[0]?.user_id ?? null;
+};
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+//time based one time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1, 30 second steps, 6 digits
+const stepSeconds = 30;
+const digits = 6;
+//codes from one step either side are accepted to allow for clock drift
+const driftSteps = 1;
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for(const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while(bits >= 5) {
+            output += base32Alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        };
+    };
+    if(bits > 0) output += base32Alphabet[(value << (5 - bits)) & 31];
+    return output;
+};
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for(const char of text.replace(/=+$/, '').toUpperCase()) {
+        value = (value << 5) | base32Alphabet.indexOf(char);
+        bits += 5;
+        if(bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        };
+    };
+    return Buffer.from(bytes);
+};
+
+//a new base32 secret, the form authenticator apps expect
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+//the otpauth:// uri authenticator apps read from a qr code
+export function totpUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(stepSeconds) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const number = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+    return String(number).padStart(digits, '0');
+};
+
+//the time step the code belongs to, or null if it doesn't match. callers store the step
+//and refuse steps at or before it so a code can't be used twice
+export function verifyTotp(secret, code, now = Date.now()) {
+    if(!/^\d{6}$/.test(code)) return null;
+    const currentStep = Math.floor(now / 1000 / stepSeconds);
+    for(let step = currentStep - driftSteps; step <= currentStep + driftSteps; step++) {
+        const expected = codeForStep(secret, step);
+        if(crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+    };
+    return null;
+};
+
+//secrets have to be readable to check codes, so unlike tokens they are encrypted rather than hashed
+function encryptionKey() {
+    return crypto.createHash('sha256').update(config.totpEncryptionKey).digest();
+};
+
+export function encryptTotpSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+export function decryptTotpSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
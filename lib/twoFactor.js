@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import { pool } from '../db/pool.js';
+import { hashToken } from './tokens.js';
+import { verifyTotp, decryptTotpSecret } from './totp.js';
+
+export const recoveryCodeCount = 10;
+//how long the challenge token from a correct password can be exchanged for an access token
+export const signinChallengeLifetimeMs = 5 * 60 * 1000;
+
+//codes are shown as xxxxxx-xxxxxx but checked without the dash, spaces or case
+function normalizeRecoveryCode(code) {
+    return code.replace(/[\s-]/g, '').toLowerCase();
+};
+
+//replace the user's recovery codes with a new set. the plain codes are returned once and never stored
+export async function createRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: recoveryCodeCount }, () => {
+        const code = crypto.randomBytes(6).toString('hex');
+        return `${code.slice(0, 6)}-${code.slice(6)}`;
+    });
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+        'INSERT INTO recovery_codes(user_id, code_hash) SELECT $1, UNNEST($2::TEXT[])',
+        [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+    );
+    return codes;
+};
+
+//accept a code from the authenticator app only once, even when two requests race
+async function consumeTotpCode(userId, encryptedSecret, code) {
+    const step = verifyTotp(decryptTotpSecret(encryptedSecret), code);
+    if(step === null) return false;
+    const result = await pool.query(
+        'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+        [userId, step]
+    );
+    return result.rowCount > 0;
+};
+
+async function consumeRecoveryCode(userId, code) {
+    const result = await pool.query(
+        `
+        UPDATE recovery_codes SET used_at = NOW()
+        WHERE id = (
+            SELECT id FROM recovery_codes WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL LIMIT 1
+        )
+        AND used_at IS NULL
+        `, [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    return result.rowCount > 0;
+};
+
+//check a second factor for a user with 2fa turned on. six digits are an authenticator code,
+//anything else is tried as a recovery code. resolves to 'totp', 'recovery_code' or null when the code is wrong
+export async function verifySecondFactor(user, code, { allowRecoveryCode = true } = {}) {
+    const digitsOnly = code.replace(/\s/g, '');
+    if(/^\d{6}$/.test(digitsOnly)) {
+        return await consumeTotpCode(user.id, user.totp_secret, digitsOnly) ? 'totp' : null;
+    };
+    if(allowRecoveryCode && await consumeRecoveryCode(user.id, code)) return 'recovery_code';
+    return null;
+};
+
+export async function recoveryCodesLeft(userId) {
+    const result = await pool.query(
+        'SELECT COUNT(*)::INTEGER count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL', [userId]
+    );
+    return result.rows[0].count;
+};
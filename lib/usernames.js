@@ -0,0 +1,63 @@
+import { pool } from '../db/pool.js';
+
+//a user can change their username once in this many days
+export const renameCooldownDays = 30;
+//for this long a username that was given up still leads to its old owner, and only they can take it back
+export const releasedUsernameHoldDays = 90;
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+//the user a username points at: whoever has it now, or whoever gave it up inside the hold.
+//resolves to { id, username, renamedFrom } where renamedFrom is set for an old name, or null when neither
+export async function resolveUsername(username) {
+    const result = await pool.query(
+        `
+        SELECT id, username, NULL renamed_from FROM users WHERE username = $1
+        UNION ALL
+        (
+            SELECT u.id, u.username, h.username
+            FROM username_history h JOIN users u ON u.id = h.user_id
+            WHERE h.username = $1 AND h.released_at > NOW() - $2 * INTERVAL '1 day'
+            ORDER BY h.released_at DESC
+            LIMIT 1
+        )
+        LIMIT 1
+        `, [username, releasedUsernameHoldDays]
+    );
+    const row = result.rows[0];
+    return row ? { id: row.id, username: row.username, renamedFrom: row.renamed_from } : null;
+};
+
+//why username can't be taken, or null when it can. userId is the user asking, null when registering
+export async function usernameUnavailableReason(username, userId = null) {
+    const result = await pool.query(
+        `
+        SELECT
+            EXISTS(SELECT 1 FROM users WHERE username = $1) in_use,
+            EXISTS(
+                SELECT 1 FROM username_history
+                WHERE username = $1 AND user_id IS DISTINCT FROM $2::INTEGER
+                AND released_at > NOW() - $3 * INTERVAL '1 day'
+            ) held
+        `, [username, userId, releasedUsernameHoldDays]
+    );
+    const { in_use: inUse, held } = result.rows[0];
+    if(inUse) return 'Username already exists';
+    if(held) return 'That username was changed recently and is reserved for now';
+    return null;
+};
+
+//milliseconds until the user may rename again, 0 when they can now
+export async function renameCooldownMs(userId) {
+    const result = await pool.query('SELECT username_changed_at FROM users WHERE id = $1', [userId]);
+    const changedAt = result.rows[0]?.username_changed_at;
+    if(!changedAt) return 0;
+    return Math.max(0, changedAt.getTime() + renameCooldownDays * dayMs - Date.now());
+};
+
+//keep the name the user gave up. taking back one of their own old names removes it from the history
+export async function recordRename(client, userId, previousUsername, newUsername) {
+    await client.query('DELETE FROM username_history WHERE user_id = $1 AND username = $2', [userId, newUsername]);
+    await client.query('INSERT INTO username_history(user_id, username) VALUES($1, $2)', [userId, previousUsername]);
+    await client.query('UPDATE users SET username_changed_at = NOW() WHERE id = $1', [userId]);
+};
@@ -0,0 +1,176 @@
+import { pool } from '../db/pool.js';
+
+//declarative field rules. a rule is an async function that receives the raw value and returns
+//{ value } with the cleaned value, or { error } with a message the user can act on.
+//schemas are plain objects of field name -> rule, see middleware/validate.js
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+};
+
+//shared handling of optional fields and defaults so each builder only checks present values
+function rule(options, check) {
+    const { optional = false, label = 'This field' } = options;
+    return async(value) => {
+        if(isMissing(value)) {
+            if(optional) return { value: options.default };
+            return { error: `${label} is required` };
+        };
+        return check(value, label);
+    };
+};
+
+export function string(options = {}) {
+    const { min, max, pattern, patternMessage, oneOf, trim = true } = options;
+    return rule(options, (value, label) => {
+        if(typeof value !== 'string') return { error: `${label} must be text` };
+        const text = trim ? value.trim() : value;
+        if(min !== undefined && text.length < min) return { error: `${label} must be at least ${min} characters` };
+        if(max !== undefined && text.length > max) return { error: `${label} must be at most ${max} characters` };
+        if(pattern && !pattern.test(text)) return { error: patternMessage || `${label} is not valid` };
+        if(oneOf && !oneOf.includes(text)) return { error: `${label} must be one of ${oneOf.join(', ')}` };
+        return { value: text };
+    });
+};
+
+//accepts real booleans and the 'true'/'false' strings sent by query strings and multipart forms
+export function boolean(options = {}) {
+    return rule(options, (value, label) => {
+        if(value === true || value === 'true') return { value: true };
+        if(value === false || value === 'false') return { value: false };
+        return { error: `${label} must be true or false` };
+    });
+};
+
+export function integer(options = {}) {
+    const { min, max } = options;
+    return rule(options, (value, label) => {
+        const number = typeof value === 'number' ? value : Number(value);
+        if(!Number.isInteger(number)) return { error: `${label} must be a whole number` };
+        if(min !== undefined && number < min) return { error: `${label} must be at least ${min}` };
+        if(max !== undefined && number > max) return { error: `${label} must be at most ${max}` };
+        return { value: number };
+    });
+};
+
+//an ISO 8601 date and time with a timezone, e.g. 2025-03-01T18:30:00+10:00. resolves to a Date
+export function dateTime(options = {}) {
+    const { future = false } = options;
+    return rule(options, (value, label) => {
+        const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+        const date = new Date(value);
+        if(typeof value !== 'string' || !hasTimezone || Number.isNaN(date.getTime())) {
+            return { error: `${label} must be a date and time with a timezone, like 2025-03-01T18:30:00+10:00` };
+        };
+        if(future && date <= new Date()) return { error: `${label} must be in the future` };
+        return { value: date };
+    });
+};
+
+//resolves to the lower case address, emails are unique regardless of case
+export function emailRule(options = {}) {
+    const check = string({
+        max: 255,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        patternMessage: 'Enter a valid email address',
+        ...options
+    });
+    return async(value) => {
+        const result = await check(value);
+        return result.value === undefined ? result : { value: result.value.toLowerCase() };
+    };
+};
+
+export function urlRule(options = {}) {
+    const text = string({ max: 2048, ...options });
+    return async(value) => {
+        const result = await text(value);
+        if(result.error || result.value == null) return result;
+        //URL() quietly drops tabs and line breaks, so they would be stored without ever being checked
+        if(/[\u0000-\u001f\u007f]/.test(result.value)) {
+            return { error: `${options.label || 'This field'} can't contain line breaks or control characters` };
+        };
+        try {
+            const parsed = new URL(result.value);
+            if(parsed.protocol !== 'https:' && parsed.protocol !== 'http:') throw new Error();
+        } catch(err) {
+            return { error: `${options.label || 'This field'} must be a web address starting with https://` };
+        };
+        return result;
+    };
+};
+
+//an array where every item passes itemRule. items are cleaned by itemRule and duplicates are dropped
+export function list(itemRule, options = {}) {
+    const { min, max } = options;
+    return rule(options, async(value, label) => {
+        if(!Array.isArray(value)) return { error: `${label} must be a list` };
+        if(min !== undefined && value.length < min) return { error: `${label} needs at least ${min} item${min === 1 ? '' : 's'}` };
+        if(max !== undefined && value.length > max) return { error: `${label} can have at most ${max} items` };
+        const items = [];
+        for(const item of value) {
+            const result = await itemRule(item);
+            if(result.error) return { error: `${label}: ${result.error}` };
+            if(!items.includes(result.value)) items.push(result.value);
+        };
+        return { value: items };
+    });
+};
+
+//a nested object validated against its own schema. the first invalid field is reported,
+//its message already names the field
+export function object(schema, options = {}) {
+    return rule(options, async(value, label) => {
+        if(typeof value !== 'object' || Array.isArray(value)) return { error: `${label} must be an object` };
+        const { values, errors } = await validateFields(schema, value);
+        if(errors) return { error: Object.values(errors)[0] };
+        return { value: values };
+    });
+};
+
+//run extra checks (usually db lookups) after a base rule passed. check returns an error message or nothing
+export function withCheck(baseRule, check) {
+    return async(value) => {
+        const result = await baseRule(value);
+        if(result.error || result.value == null) return result;
+        const error = await check(result.value);
+        return error ? { error } : result;
+    };
+};
+
+//fields shared by several routes
+export const usernameRule = (options = {}) => string({
+    label: 'Username',
+    min: 3,
+    max: 30,
+    pattern: /^[A-Za-z0-9_.-]+$/,
+    patternMessage: 'Username can only contain letters, numbers, dots, dashes and underscores',
+    ...options
+});
+
+//bcrypt only looks at the first 72 bytes
+export const passwordRule = (options = {}) => string({ label: 'Password', min: 8, max: 72, trim: false, ...options });
+
+export const skillNameRule = (options = {}) => withCheck(
+    string({ label: 'Skill', max: 100, ...options }),
+    async(name) => {
+        const result = await pool.query('SELECT 1 FROM skills WHERE name = $1', [name]);
+        if(result.rows.length === 0) return `There is no skill called '${name}'`;
+    }
+);
+
+//validate source against schema. resolves to { values, errors } where errors is null when everything passed.
+//fields not named in the schema are dropped
+export async function validateFields(schema, source = {}) {
+    const values = {};
+    const errors = {};
+    for(const [field, fieldRule] of Object.entries(schema)) {
+        const result = await fieldRule(source[field]);
+        if(result.error) {
+            errors[field] = result.error;
+        } else if(result.value !== undefined) {
+            values[field] = result.value;
+        };
+    };
+    return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+};
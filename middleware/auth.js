@@ -0,0 +1,81 @@
+import jwt from 'jsonwebtoken';
+import { config } from '../lib/config.js';
+import { pool } from '../db/pool.js';
+import { AppError, unauthorized, forbidden, accountSuspended } from '../lib/errors.js';
+
+//access tokens name the user by id, which never changes, so renaming doesn't end sessions that are signed in
+export function generateToken(userId) {
+    return jwt.sign({ sub: String(userId) }, config.accessTokenSecret, { expiresIn: config.accessTokenLifetimeMs / 1000 });
+};
+
+//returns the user id stored in an access token and when it was issued, in seconds.
+//throws if the token is invalid or expired
+export function verifyAccessToken(token) {
+    const payload = jwt.verify(token, config.accessTokenSecret);
+    const id = Number(payload.sub);
+    if(!Number.isInteger(id)) throw new jwt.JsonWebTokenError('access token has no user id');
+    return { id, issuedAt: payload.iat };
+};
+
+//true for tokens from before the user's last password change. iat only has whole seconds,
+//so a token from the same second as the change still counts as newer
+export function issuedBeforePasswordChange(issuedAt, passwordChangedAt) {
+    return Boolean(passwordChangedAt) && issuedAt < Math.floor(passwordChangedAt.getTime() / 1000);
+};
+
+export function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if(!token) return next(unauthorized());
+    const invalidToken = () => new AppError(403, 'invalid_token', 'Your session is invalid or has expired'); //forbidden
+    let userId;
+    let issuedAt;
+    try {
+        ({ id: userId, issuedAt } = verifyAccessToken(token));
+    } catch(err) {
+        return next(invalidToken());
+    };
+    //the username is read fresh so it is the current one after a rename.
+    //a suspension or password reset has to take effect straight away, not once the access token runs out
+    pool.query('SELECT username, suspended_at, password_changed_at FROM users WHERE id = $1', [userId]).then(result => {
+        const user = result.rows[0];
+        if(!user || issuedBeforePasswordChange(issuedAt, user.password_changed_at)) return next(invalidToken());
+        if(user.suspended_at) return next(accountSuspended());
+        //routes must act on this identity, never on a username sent by the client
+        req.user = { id: userId, username: user.username };
+        next();
+    }, next);
+};
+
+//reject requests where the client names a different user than the one in the token.
+//the field is optional for clients, handlers always read the user from req.user
+export function ownsRequest(field) {
+    return (req, res, next) => {
+        const claimedUsername = req.body?.[field] ?? req.query[field];
+        if(claimedUsername && claimedUsername !== req.user.username) {
+            return next(forbidden('You cannot act on behalf of another user'));
+        };
+        next();
+    };
+};
+
+//authenticateToken plus a check that the user is an admin. the role is read from the database on every
+//request rather than stored in the token, so taking admin rights away works straight away
+export function requireAdmin(req, res, next) {
+    authenticateToken(req, res, err => {
+        if(err) return next(err);
+        pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]).then(result => {
+            if(result.rows[0]?.role !== 'admin') return next(forbidden('Only admins can do that'));
+            next();
+        }, next);
+    });
+};
+
+//for routes that only the refresh cookie authenticates. the cookie goes along on cross-site requests too,
+//so the request has to come from one of the frontend's origins, or, from clients that send no Origin,
+//carry an X-Requested-With header, which a cross-site form can't add and a cross-site script can't send without cors
+export function requireTrustedOrigin(req, res, next) {
+    const origin = req.get('Origin');
+    if(origin ? config.corsOrigins.includes(origin) : req.get('X-Requested-With')) return next();
+    next(forbidden('This request has to come from the Skill Swap app'));
+};
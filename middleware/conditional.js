@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+//send body as json tagged with a hash of it. a client that sends the tag back in If-None-Match gets an empty 304
+//when nothing changed. private and no-cache let browsers keep a copy for this user but check it before every use
+export function sendConditional(req, res, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    res.set({ 'ETag': etag, 'Cache-Control': 'private, no-cache' });
+    if(req.fresh) return res.status(304).end();
+    res.status(200).type('json').send(json);
+};
@@ -0,0 +1,37 @@
+import { AppError, notFound } from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+
+//express 4 doesn't catch rejected promises, wrap async handlers so their errors reach errorHandler
+export function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+};
+
+//catch-all for routes that don't exist
+export function notFoundHandler(req, res, next) {
+    next(notFound(`No route for ${req.method} ${req.path}`));
+};
+
+//turn anything thrown by a route into the error envelope described in lib/errors.js
+export function errorHandler(err, req, res, next) {
+    if(res.headersSent) return next(err);
+
+    let appError = err;
+    if(!(err instanceof AppError)) {
+        if(err.type === 'entity.parse.failed') {
+            appError = new AppError(400, 'invalid_json', 'The request body is not valid JSON');
+        } else if(err.type === 'entity.too.large') {
+            appError = new AppError(413, 'payload_too_large', 'The request body is too large');
+        } else if(err.code === '23505') {
+            //unique violation that slipped past a route's own checks, e.g. two requests racing
+            appError = new AppError(409, 'conflict', 'That already exists');
+        } else {
+            //requests skipped by requestLogger (health checks) have no req.log
+            (req.log ?? logger).error('unhandled error', { method: req.method, path: req.path, err });
+            appError = new AppError(500, 'internal_error', 'Something went wrong, please try again');
+        };
+    };
+    if(appError.retryAfter) res.set('Retry-After', String(appError.retryAfter));
+    res.status(appError.status).json(appError);
+};
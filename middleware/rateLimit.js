@@ -0,0 +1,14 @@
+import { rateLimitStore } from '../lib/rateLimit/index.js';
+import { tooManyRequests } from '../lib/errors.js';
+
+//count every request to the route against the caller's ip and answer 429 once there are more than max in windowMs.
+//name keeps the counters of different routes apart. key counts against something else instead,
+//e.g. the email address the request is about, and has to come after validation when it reads the body
+export function rateLimit({ name, max, windowMs, message = 'Too many requests, try again later', key = req => req.ip }) {
+    return (req, res, next) => {
+        rateLimitStore.hit(`${name}:${key(req)}`, windowMs).then(({ count, resetAt }) => {
+            if(count > max) return next(tooManyRequests(message, resetAt - Date.now()));
+            next();
+        }, next);
+    };
+};
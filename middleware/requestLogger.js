@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import { logger } from '../lib/logger.js';
+
+//ids sent by a proxy or the client are reused so one request can be followed across services
+const incomingIdPattern = /^[\w.-]{8,100}$/;
+
+//paths where part of the url is the credential, e.g. calendar feeds. that part is masked before the path is logged
+const secretPathPatterns = [/^(\/api\/calendar\/)[^/]+$/];
+
+function loggedPath(req) {
+    const path = req.originalUrl.split('?')[0];
+    const pattern = secretPathPatterns.find(candidate => candidate.test(path));
+    return pattern ? path.replace(pattern, '$1[redacted]') : path;
+};
+
+//give every request an id, echoed in the X-Request-Id response header, and a logger that tags entries with it.
+//one entry is written when the response is finished
+export function requestLogger(req, res, next) {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && incomingIdPattern.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const fields = {
+            method: req.method,
+            path: loggedPath(req),
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+            ip: req.ip,
+            //set by authenticateToken on routes that need a signed in user
+            ...(req.user && { userId: req.user.id, user: req.user.username })
+        };
+        if(res.statusCode >= 500) {
+            req.log.error('request failed', fields);
+        } else {
+            req.log.info('request finished', fields);
+        };
+    });
+    next();
+};
@@ -0,0 +1,23 @@
+import { validateFields } from '../lib/validation.js';
+import { validationFailed } from '../lib/errors.js';
+
+//validate the request against schemas for body, query and params (see lib/validation.js).
+//on success the cleaned values replace the originals, so handlers only ever see validated input.
+//on failure every invalid field is reported at once
+export function validate(schemas) {
+    return async(req, res, next) => {
+        try {
+            const fieldErrors = {};
+            for(const part of ['params', 'query', 'body']) {
+                if(!schemas[part]) continue;
+                const { values, errors } = await validateFields(schemas[part], req[part]);
+                if(errors) Object.assign(fieldErrors, errors);
+                req[part] = values;
+            };
+            if(Object.keys(fieldErrors).length > 0) return next(validationFailed(fieldErrors));
+            next();
+        } catch(err) {
+            next(err);
+        };
+    };
+};
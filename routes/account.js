@@ -0,0 +1,198 @@
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { badRequest, unauthorized, notFound, conflict, tooManyRequests } from '../lib/errors.js';
+import { string, integer, passwordRule } from '../lib/validation.js';
+import { consumeUserToken } from '../lib/tokens.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../lib/accountEmails.js';
+import { buildAccountExport } from '../lib/accountExport.js';
+import { clearRefreshCookie } from '../lib/refreshTokens.js';
+import { config } from '../lib/config.js';
+import { deleteAvatar } from '../lib/avatars.js';
+import { disconnectUser } from '../lib/chat.js';
+import { closeUserStreams } from '../lib/notifications.js';
+import { lockedForMs, recordFailedSignin, clearFailedSignins } from '../lib/signinAttempts.js';
+import { auditEvents, recordAudit } from '../lib/audit.js';
+import { forgetAllProfiles } from '../lib/cache/index.js';
+
+const router = express.Router();
+
+const tokenBody = { token: string({ label: 'Token', trim: false }) };
+
+//emails can be asked for on someone else's behalf, so they are limited per network and per address they go to
+const emailLimitWindowMs = 60 * 60 * 1000;
+const emailLimitMessage = 'Too many emails requested, try again later';
+const resendVerificationLimits = [
+    rateLimit({ name: 'resend-verification', max: 10, windowMs: emailLimitWindowMs, message: emailLimitMessage }),
+    rateLimit({
+        name: 'resend-verification-user',
+        max: 3,
+        windowMs: emailLimitWindowMs,
+        message: emailLimitMessage,
+        key: req => req.user.id
+    })
+];
+const forgotPasswordIpLimit = rateLimit({
+    name: 'forgot-password', max: 10, windowMs: emailLimitWindowMs, message: emailLimitMessage
+});
+const forgotPasswordAddressLimit = rateLimit({
+    name: 'forgot-password-address',
+    max: 3,
+    windowMs: emailLimitWindowMs,
+    message: emailLimitMessage,
+    key: req => req.body.email.toLowerCase()
+});
+
+//confirm the email address using the token from the verification email
+router.post('/verify-email', validate({ body: tokenBody }), asyncHandler(async(req, res) => {
+    const { token } = req.body;
+    const userId = await consumeUserToken(token, 'verify_email');
+    if(!userId) {
+        throw badRequest('This verification link is invalid or has expired');
+    };
+    await pool.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1', [userId]
+    );
+    res.status(200).json({ message: 'Email verified' });
+}));
+
+router.post('/resend-verification', authenticateToken, resendVerificationLimits, asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        'SELECT id, username, email, email_verified_at FROM users WHERE id = $1', [req.user.id]
+    );
+    const user = result.rows[0];
+    if(!user) throw notFound('User not found');
+    if(user.email_verified_at) {
+        throw conflict('Your email is already verified');
+    };
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: `Verification email sent to ${user.email}` });
+}));
+
+//always answers the same way so the endpoint can't be used to find out which emails have accounts
+router.post('/forgot-password', forgotPasswordIpLimit, validate({
+    body: { email: string({ label: 'Email', max: 255 }) }
+}), forgotPasswordAddressLimit, asyncHandler(async(req, res) => {
+    const { email } = req.body;
+    const result = await pool.query(
+        'SELECT id, username, email FROM users WHERE LOWER(email) = LOWER($1)', [email]
+    );
+    //not awaited, a slower response would give away that the account exists
+    if(result.rows[0]) {
+        sendPasswordResetEmail(result.rows[0])
+            .catch(err => req.log.error('error sending password reset email', { err }));
+    };
+    res.status(200).json({ message: 'If an account uses that email, a reset link is on its way' });
+}));
+
+//set a new password using the token from the reset email. every session of the user is signed out
+router.post('/reset-password', validate({
+    body: { ...tokenBody, password: passwordRule() }
+}), asyncHandler(async(req, res) => {
+    const { token, password } = req.body;
+    const userId = await consumeUserToken(token, 'reset_password');
+    if(!userId) {
+        throw badRequest('This reset link is invalid or has expired');
+    };
+    const hashedPassword = await bcrypt.hash(password, config.bcryptCost);
+    await withTransaction(async(client) => {
+        //following the emailed link also proves the user owns the address
+        await client.query(
+            `
+            UPDATE users
+            SET password = $1, password_changed_at = NOW(), email_verified_at = COALESCE(email_verified_at, NOW())
+            WHERE id = $2
+            `, [hashedPassword, userId]
+        );
+        //access tokens from before password_changed_at are rejected, removing the refresh tokens stops new ones
+        await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+        await client.query(
+            `DELETE FROM user_tokens WHERE user_id = $1 AND purpose = 'reset_password'`, [userId]
+        );
+    });
+    //open sockets and streams were authenticated before the reset, so they are closed by hand
+    disconnectUser(userId, 'Password reset');
+    closeUserStreams(userId);
+    await recordAudit(req, { userId, event: auditEvents.passwordReset });
+    res.status(200).json({ message: 'Your password has been reset, please sign in again' });
+}));
+
+//the signed in user's recent security activity, newest first: sign ins, password and profile changes and so on.
+//event names are listed in lib/audit.js. pass nextCursor as before for older events
+router.get('/account/activity', authenticateToken, validate({
+    query: {
+        before: integer({ label: 'before', optional: true, min: 1, default: null }),
+        limit: integer({ label: 'limit', optional: true, min: 1, max: 100, default: 25 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { before, limit } = req.query;
+    const result = await pool.query(
+        `
+        SELECT a.id, a.event, a.data, a.ip, a.user_agent, a.actor_id IS NOT NULL by_admin, a.created_at
+        FROM audit_events a
+        WHERE a.user_id = $1
+        AND ($2::BIGINT IS NULL OR a.id < $2)
+        ORDER BY a.id DESC
+        LIMIT $3
+        `, [req.user.id, before, limit]
+    );
+    res.status(200).json({
+        activity: result.rows,
+        nextCursor: result.rows.length === limit ? Number(result.rows[result.rows.length - 1].id) : null
+    });
+}));
+
+//download everything stored about the signed in user as one json file
+router.get('/account/export', authenticateToken, asyncHandler(async(req, res) => {
+    const { id, username } = req.user;
+    const archive = await buildAccountExport(id);
+    res.set('Content-Disposition', `attachment; filename="skillswap-export-${username}.json"`);
+    res.status(200).json(archive);
+}));
+
+//permanently delete the signed in user. the password is asked for again so a stolen access token can't do it.
+//every table referencing users cascades, so removing the row removes their skills, matches, messages,
+//reviews and refresh tokens with it. sessions they cancelled and proposals they reviewed keep a null in its place
+router.delete('/account', authenticateToken, validate({
+    body: { password: string({ label: 'Password', trim: false }) }
+}), asyncHandler(async(req, res) => {
+    const { password } = req.body;
+    const { id: userId, username } = req.user;
+    //shares the sign in lockout, otherwise this would be a way around it for guessing passwords
+    const lockedMs = await lockedForMs(username, req.ip);
+    if(lockedMs > 0) {
+        throw tooManyRequests('Too many failed attempts, try again later', lockedMs);
+    };
+    const result = await pool.query(
+        'SELECT id, password, profile_picture_key FROM users WHERE id = $1', [userId]
+    );
+    const user = result.rows[0];
+    if(!user) throw notFound('User not found');
+    if(!await bcrypt.compare(password, user.password)) {
+        await recordFailedSignin(username, req.ip);
+        throw unauthorized('Incorrect password', { password: 'Incorrect password' });
+    };
+    await withTransaction(async(client) => {
+        await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+    });
+    await clearFailedSignins(username, req.ip);
+    //access tokens can't be revoked, they name a user that no longer exists and are rejected from here on.
+    //open sockets and streams were authenticated before, so they are closed by hand
+    disconnectUser(user.id, 'Account deleted');
+    closeUserStreams(user.id);
+    //their endorsements and reviews went with them, so other profiles change too
+    await forgetAllProfiles();
+    clearRefreshCookie(res);
+    //the account is already gone, a leftover file is only logged
+    if(user.profile_picture_key) {
+        deleteAvatar(user.profile_picture_key)
+            .catch(err => req.log.error('error deleting profile picture of deleted account', { err }));
+    };
+    res.status(200).json({ message: 'Your account has been deleted' });
+}));
+
+export default router;
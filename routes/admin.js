@@ -0,0 +1,514 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, validationFailed, notFound, conflict } from '../lib/errors.js';
+import { string, integer, boolean, list } from '../lib/validation.js';
+import { reportReasons, suspendUser, disconnectSuspendedUser } from '../lib/moderation.js';
+import { auditEvents, recordAudit } from '../lib/audit.js';
+import { forgetSkillCatalog, forgetAllProfiles } from '../lib/cache/index.js';
+
+//skill catalog management and moderation. every route here is admin only
+const router = express.Router();
+router.use(requireAdmin);
+
+const idParams = { id: integer({ label: 'id', min: 1 }) };
+const categoryNameRule = (options = {}) => string({ label: 'Category', max: 100, ...options });
+const skillNameRule = (options = {}) => string({ label: 'Skill', max: 100, ...options });
+const categoryListRule = (options = {}) => list(categoryNameRule(), { label: 'Categories', min: 1, max: 10, ...options });
+
+//names are unique regardless of case so 'guitar' can't sit next to 'Guitar'
+async function assertCategoryNameFree(client, name, exceptId = null) {
+    const result = await client.query(
+        'SELECT category FROM categories WHERE LOWER(category) = LOWER($1) AND id IS DISTINCT FROM $2', [name, exceptId]
+    );
+    if(result.rows[0]) {
+        throw conflict(`The category '${result.rows[0].category}' already exists`, { name: 'Category already exists' });
+    };
+};
+
+async function assertSkillNameFree(client, name, exceptId = null) {
+    const result = await client.query(
+        'SELECT name FROM skills WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2', [name, exceptId]
+    );
+    if(result.rows[0]) {
+        throw conflict(`'${result.rows[0].name}' is already in the catalog`, { name: 'Skill already exists' });
+    };
+};
+
+//replace the categories a skill is listed under
+async function setSkillCategories(client, skillId, categoryNames) {
+    const result = await client.query(
+        'SELECT id, category FROM categories WHERE category = ANY($1::TEXT[])', [categoryNames]
+    );
+    const missing = categoryNames.filter(name => !result.rows.some(row => row.category === name));
+    if(missing.length > 0) {
+        throw validationFailed({ categories: `There is no category called '${missing[0]}'` });
+    };
+    await client.query('DELETE FROM categories_skills WHERE skill_id = $1', [skillId]);
+    await client.query(
+        'INSERT INTO categories_skills(category_id, skill_id) SELECT UNNEST($1::INTEGER[]), $2',
+        [result.rows.map(row => row.id), skillId]
+    );
+};
+
+//a renamed, merged or deleted skill changes the profiles of everyone that has it, not only the catalog
+async function forgetSkillChanges() {
+    await forgetSkillCatalog();
+    await forgetAllProfiles();
+};
+
+async function findSkill(client, id) {
+    const result = await client.query(
+        `
+        SELECT s.id, s.name, COALESCE(ARRAY_AGG(c.category ORDER BY c.category) FILTER (WHERE c.id IS NOT NULL), ARRAY[]::VARCHAR[]) categories
+        FROM skills s
+        LEFT JOIN categories_skills cs ON cs.skill_id = s.id
+        LEFT JOIN categories c ON c.id = cs.category_id
+        WHERE s.id = $1
+        GROUP BY s.id
+        `, [id]
+    );
+    if(!result.rows[0]) throw notFound(`There is no skill with id ${id}`);
+    return result.rows[0];
+};
+
+router.get('/categories', asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT
+            c.id,
+            c.category,
+            COALESCE(
+                JSON_AGG(JSON_BUILD_OBJECT('id', s.id, 'name', s.name) ORDER BY s.name) FILTER (WHERE s.id IS NOT NULL),
+                '[]'
+            ) skills
+        FROM categories c
+        LEFT JOIN categories_skills cs ON cs.category_id = c.id
+        LEFT JOIN skills s ON s.id = cs.skill_id
+        GROUP BY c.id
+        ORDER BY c.category
+        `
+    );
+    res.status(200).json({ categories: result.rows });
+}));
+
+router.post('/categories', validate({
+    body: { name: categoryNameRule() }
+}), asyncHandler(async(req, res) => {
+    const { name } = req.body;
+    await assertCategoryNameFree(pool, name);
+    const result = await pool.query('INSERT INTO categories(category) VALUES($1) RETURNING id, category', [name]);
+    res.status(201).json({ category: result.rows[0] });
+}));
+
+router.patch('/categories/:id', validate({
+    params: idParams,
+    body: { name: categoryNameRule() }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    const { name } = req.body;
+    await assertCategoryNameFree(pool, name, id);
+    const result = await pool.query(
+        'UPDATE categories SET category = $1 WHERE id = $2 RETURNING id, category', [name, id]
+    );
+    if(!result.rows[0]) throw notFound(`There is no category with id ${id}`);
+    await forgetSkillCatalog();
+    res.status(200).json({ category: result.rows[0] });
+}));
+
+//the skills stay in the catalog, only their listing under this category goes
+router.delete('/categories/:id', validate({ params: idParams }), asyncHandler(async(req, res) => {
+    const result = await pool.query('DELETE FROM categories WHERE id = $1', [req.params.id]);
+    if(result.rowCount === 0) throw notFound(`There is no category with id ${req.params.id}`);
+    await forgetSkillCatalog();
+    res.status(200).json({ message: 'Category deleted' });
+}));
+
+router.get('/skills', asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT
+            s.id,
+            s.name,
+            COALESCE(
+                (SELECT ARRAY_AGG(c.category ORDER BY c.category) FROM categories_skills cs
+                 JOIN categories c ON c.id = cs.category_id WHERE cs.skill_id = s.id),
+                ARRAY[]::VARCHAR[]
+            ) categories,
+            (SELECT COUNT(*) FROM users_skills WHERE skill_id = s.id)::INTEGER user_count
+        FROM skills s
+        ORDER BY s.name
+        `
+    );
+    res.status(200).json({ skills: result.rows });
+}));
+
+router.post('/skills', validate({
+    body: { name: skillNameRule(), categories: categoryListRule() }
+}), asyncHandler(async(req, res) => {
+    const { name, categories } = req.body;
+    const skill = await withTransaction(async(client) => {
+        await assertSkillNameFree(client, name);
+        const result = await client.query('INSERT INTO skills(name) VALUES($1) RETURNING id', [name]);
+        await setSkillCategories(client, result.rows[0].id, categories);
+        return findSkill(client, result.rows[0].id);
+    });
+    await forgetSkillCatalog();
+    res.status(201).json({ skill });
+}));
+
+//rename a skill and/or replace the categories it is listed under
+router.patch('/skills/:id', validate({
+    params: idParams,
+    body: {
+        name: skillNameRule({ optional: true }),
+        categories: categoryListRule({ optional: true })
+    }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    const { name, categories } = req.body;
+    if(name === undefined && categories === undefined) {
+        throw badRequest('Send a new name, categories or both');
+    };
+    const skill = await withTransaction(async(client) => {
+        await findSkill(client, id);
+        if(name !== undefined) {
+            await assertSkillNameFree(client, name, id);
+            await client.query('UPDATE skills SET name = $1 WHERE id = $2', [name, id]);
+        };
+        if(categories !== undefined) await setSkillCategories(client, id, categories);
+        return findSkill(client, id);
+    });
+    await forgetSkillChanges();
+    res.status(200).json({ skill });
+}));
+
+//removes the skill from every user that has it. to keep their selections, merge it into another skill instead
+router.delete('/skills/:id', validate({ params: idParams }), asyncHandler(async(req, res) => {
+    const result = await pool.query('DELETE FROM skills WHERE id = $1', [req.params.id]);
+    if(result.rowCount === 0) throw notFound(`There is no skill with id ${req.params.id}`);
+    await forgetSkillChanges();
+    res.status(200).json({ message: 'Skill deleted' });
+}));
+
+//fold a duplicate skill into another one. users of the duplicate move over to the target,
+//keeping whether they learn and/or teach it, their levels, priority ranks and endorsements
+router.post('/skills/:id/merge', validate({
+    params: idParams,
+    body: { into: integer({ label: 'into', min: 1 }) }
+}), asyncHandler(async(req, res) => {
+    const sourceId = req.params.id;
+    const targetId = req.body.into;
+    if(sourceId === targetId) throw badRequest('A skill cannot be merged into itself');
+    const skill = await withTransaction(async(client) => {
+        const source = await findSkill(client, sourceId);
+        await findSkill(client, targetId);
+        //users with both skills keep one row with the flags of both. the target's levels win
+        //and each side keeps the higher of the two priorities
+        await client.query(
+            `
+            UPDATE users_skills target
+            SET is_learning = target.is_learning OR source.is_learning,
+                is_teaching = target.is_teaching OR source.is_teaching,
+                level = COALESCE(target.level, source.level),
+                target_level = COALESCE(target.target_level, source.target_level),
+                learning_rank = LEAST(target.learning_rank, source.learning_rank),
+                teaching_rank = LEAST(target.teaching_rank, source.teaching_rank)
+            FROM users_skills source
+            WHERE target.skill_id = $2 AND source.skill_id = $1 AND source.user_id = target.user_id
+            `, [sourceId, targetId]
+        );
+        await client.query(
+            `
+            UPDATE users_skills SET skill_id = $2
+            WHERE skill_id = $1
+            AND user_id NOT IN (SELECT user_id FROM users_skills WHERE skill_id = $2)
+            `, [sourceId, targetId]
+        );
+        //endorsements of moved rows followed them, the ones left are of users that had both
+        await client.query(
+            `
+            INSERT INTO skill_endorsements(endorser_id, user_id, skill_id, created_at)
+            SELECT endorser_id, user_id, $2, created_at FROM skill_endorsements WHERE skill_id = $1
+            ON CONFLICT DO NOTHING
+            `, [sourceId, targetId]
+        );
+        await client.query(
+            `
+            INSERT INTO categories_skills(category_id, skill_id)
+            SELECT category_id, $2 FROM categories_skills WHERE skill_id = $1
+            ON CONFLICT DO NOTHING
+            `, [sourceId, targetId]
+        );
+        await client.query(
+            'UPDATE skill_proposals SET skill_id = $2 WHERE skill_id = $1', [sourceId, targetId]
+        );
+        await client.query('UPDATE sessions SET skill_id = $2 WHERE skill_id = $1', [sourceId, targetId]);
+        //a reviewer who reviewed the same person for both skills keeps the review of the target
+        await client.query(
+            `
+            UPDATE reviews r SET skill_id = $2
+            WHERE r.skill_id = $1
+            AND NOT EXISTS (
+                SELECT 1 FROM reviews t
+                WHERE t.skill_id = $2 AND t.reviewer_id = r.reviewer_id AND t.reviewee_id = r.reviewee_id
+            )
+            `, [sourceId, targetId]
+        );
+        //the remaining rows belong to users that had both, their flags were copied above
+        await client.query('DELETE FROM skills WHERE id = $1', [sourceId]);
+        const merged = await findSkill(client, targetId);
+        return { ...merged, mergedFrom: source.name };
+    });
+    await forgetSkillChanges();
+    res.status(200).json({ skill });
+}));
+
+router.get('/skill-proposals', validate({
+    query: {
+        status: string({ label: 'Status', optional: true, default: 'pending', oneOf: ['pending', 'approved', 'rejected'] })
+    }
+}), asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT
+            sp.id,
+            sp.name,
+            c.category,
+            sp.note,
+            sp.status,
+            u.username proposed_by,
+            sp.created_at,
+            r.username reviewed_by,
+            sp.reviewed_at,
+            sp.review_note,
+            --how many users proposed the same name, pending or not
+            (SELECT COUNT(*) FROM skill_proposals other WHERE LOWER(other.name) = LOWER(sp.name))::INTEGER times_proposed
+        FROM skill_proposals sp
+        JOIN users u ON u.id = sp.user_id
+        LEFT JOIN categories c ON c.id = sp.category_id
+        LEFT JOIN users r ON r.id = sp.reviewed_by
+        WHERE sp.status = $1
+        ORDER BY sp.created_at ASC
+        `, [req.query.status]
+    );
+    res.status(200).json({ proposals: result.rows });
+}));
+
+async function findPendingProposal(client, id) {
+    const result = await client.query(
+        `
+        SELECT sp.id, sp.name, sp.status, c.category
+        FROM skill_proposals sp
+        LEFT JOIN categories c ON c.id = sp.category_id
+        WHERE sp.id = $1
+        FOR UPDATE OF sp
+        `, [id]
+    );
+    const proposal = result.rows[0];
+    if(!proposal) throw notFound(`There is no proposal with id ${id}`);
+    if(proposal.status !== 'pending') throw conflict(`This proposal was already ${proposal.status}`);
+    return proposal;
+};
+
+//add the proposed skill to the catalog. the admin can correct the name and pick the categories,
+//by default the proposed name and category are used
+router.post('/skill-proposals/:id/approve', validate({
+    params: idParams,
+    body: {
+        name: skillNameRule({ optional: true }),
+        categories: categoryListRule({ optional: true }),
+        note: string({ label: 'Note', optional: true, max: 500 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    const skill = await withTransaction(async(client) => {
+        const proposal = await findPendingProposal(client, id);
+        const name = req.body.name ?? proposal.name;
+        const categories = req.body.categories ?? (proposal.category ? [proposal.category] : null);
+        if(!categories) {
+            throw validationFailed({ categories: 'The proposal has no category, pick at least one' });
+        };
+        await assertSkillNameFree(client, name);
+        const result = await client.query('INSERT INTO skills(name) VALUES($1) RETURNING id', [name]);
+        const skillId = result.rows[0].id;
+        await setSkillCategories(client, skillId, categories);
+        await client.query(
+            `
+            UPDATE skill_proposals
+            SET status = 'approved', skill_id = $2, reviewed_by = $3,
+                reviewed_at = NOW(), review_note = $4
+            WHERE id = $1
+            `, [id, skillId, req.user.id, req.body.note]
+        );
+        return findSkill(client, skillId);
+    });
+    await forgetSkillCatalog();
+    res.status(200).json({ message: `'${skill.name}' has been added to the catalog`, skill });
+}));
+
+router.post('/skill-proposals/:id/reject', validate({
+    params: idParams,
+    body: { note: string({ label: 'Note', optional: true, max: 500 }) }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    await withTransaction(async(client) => {
+        await findPendingProposal(client, id);
+        await client.query(
+            `
+            UPDATE skill_proposals
+            SET status = 'rejected', reviewed_by = $2,
+                reviewed_at = NOW(), review_note = $3
+            WHERE id = $1
+            `, [id, req.user.id, req.body.note]
+        );
+    });
+    res.status(200).json({ message: 'Proposal rejected' });
+}));
+
+//the moderation queue, oldest first so nothing waits forever. open_reports counts every open report
+//against the same user, several people reporting one user is a strong signal
+router.get('/reports', validate({
+    query: {
+        status: string({ label: 'Status', optional: true, default: 'open', oneOf: ['open', 'resolved', 'dismissed'] }),
+        reason: string({ label: 'Reason', optional: true, default: null, oneOf: reportReasons }),
+        username: string({ label: 'Username', optional: true, default: null })
+    }
+}), asyncHandler(async(req, res) => {
+    const { status, reason, username } = req.query;
+    const result = await pool.query(
+        `
+        SELECT
+            r.id,
+            reported.username reported,
+            reported.suspended_at IS NOT NULL reported_suspended,
+            (SELECT COUNT(*) FROM reports other WHERE other.reported_id = r.reported_id AND other.status = 'open')::INTEGER open_reports,
+            reporter.username reporter,
+            r.reason,
+            r.details,
+            r.status,
+            r.created_at,
+            resolver.username resolved_by,
+            r.resolved_at,
+            r.resolution_note,
+            r.suspended_user
+        FROM reports r
+        JOIN users reported ON reported.id = r.reported_id
+        LEFT JOIN users reporter ON reporter.id = r.reporter_id
+        LEFT JOIN users resolver ON resolver.id = r.resolved_by
+        WHERE r.status = $1
+        AND ($2::TEXT IS NULL OR r.reason = $2)
+        AND ($3::TEXT IS NULL OR reported.username = $3)
+        ORDER BY r.created_at ASC
+        `, [status, reason, username]
+    );
+    res.status(200).json({ reports: result.rows });
+}));
+
+async function findOpenReport(client, id) {
+    const result = await client.query('SELECT id, reported_id, status FROM reports WHERE id = $1 FOR UPDATE', [id]);
+    const report = result.rows[0];
+    if(!report) throw notFound(`There is no report with id ${id}`);
+    if(report.status !== 'open') throw conflict(`This report was already ${report.status}`);
+    return report;
+};
+
+//admins are taken out of the admin role before they can be suspended
+async function suspendAccount(client, userId, reason) {
+    const result = await client.query('SELECT username, role FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+    if(!user) throw notFound('User not found');
+    if(user.role === 'admin') throw badRequest('Admins cannot be suspended, remove their admin role first');
+    if(!await suspendUser(client, userId, reason)) throw conflict(`${user.username} is already suspended`);
+    return user.username;
+};
+
+//mark a report as dealt with. suspend also suspends the reported user and resolves every other open report against them
+router.post('/reports/:id/resolve', validate({
+    params: idParams,
+    body: {
+        note: string({ label: 'Note', optional: true, max: 500 }),
+        suspend: boolean({ label: 'Suspend', optional: true, default: false })
+    }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    const { note, suspend } = req.body;
+    const suspended = await withTransaction(async(client) => {
+        const report = await findOpenReport(client, id);
+        const suspendedUsername = suspend && await suspendAccount(client, report.reported_id, note ?? null);
+        await client.query(
+            `
+            UPDATE reports
+            SET status = 'resolved', resolved_by = $2,
+                resolved_at = NOW(), resolution_note = $3, suspended_user = $4
+            WHERE id = $1 OR ($4 AND reported_id = $5 AND status = 'open')
+            `, [id, req.user.id, note, suspend, report.reported_id]
+        );
+        return suspendedUsername && { userId: report.reported_id, username: suspendedUsername };
+    });
+    if(suspended) {
+        disconnectSuspendedUser(suspended.userId);
+        await forgetAllProfiles();
+        await recordAudit(req, { userId: suspended.userId, actorId: req.user.id, event: auditEvents.suspended });
+        return res.status(200).json({ message: `Report resolved and ${suspended.username} suspended` });
+    };
+    res.status(200).json({ message: 'Report resolved' });
+}));
+
+router.post('/reports/:id/dismiss', validate({
+    params: idParams,
+    body: { note: string({ label: 'Note', optional: true, max: 500 }) }
+}), asyncHandler(async(req, res) => {
+    const { id } = req.params;
+    await withTransaction(async(client) => {
+        await findOpenReport(client, id);
+        await client.query(
+            `
+            UPDATE reports
+            SET status = 'dismissed', resolved_by = $2,
+                resolved_at = NOW(), resolution_note = $3
+            WHERE id = $1
+            `, [id, req.user.id, req.body.note]
+        );
+    });
+    res.status(200).json({ message: 'Report dismissed' });
+}));
+
+const usernameParams = { username: string({ label: 'Username' }) };
+
+//suspend a user without a report, e.g. one found while looking into another report
+router.post('/users/:username/suspend', validate({
+    params: usernameParams,
+    body: { reason: string({ label: 'Reason', max: 500 }) }
+}), asyncHandler(async(req, res) => {
+    const userId = await withTransaction(async(client) => {
+        const result = await client.query('SELECT id FROM users WHERE username = $1', [req.params.username]);
+        if(!result.rows[0]) throw notFound('User not found');
+        await suspendAccount(client, result.rows[0].id, req.body.reason);
+        return result.rows[0].id;
+    });
+    disconnectSuspendedUser(userId);
+    //their profile is hidden and their endorsements drop off other profiles
+    await forgetAllProfiles();
+    await recordAudit(req, { userId, actorId: req.user.id, event: auditEvents.suspended });
+    res.status(200).json({ message: `${req.params.username} has been suspended` });
+}));
+
+//the user can sign in again
+router.post('/users/:username/unsuspend', validate({ params: usernameParams }), asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        UPDATE users SET suspended_at = NULL, suspension_reason = NULL
+        WHERE username = $1 AND suspended_at IS NOT NULL
+        RETURNING id
+        `, [req.params.username]
+    );
+    if(result.rowCount === 0) throw notFound(`${req.params.username} isn't suspended`);
+    await forgetAllProfiles();
+    await recordAudit(req, { userId: result.rows[0].id, actorId: req.user.id, event: auditEvents.unsuspended });
+    res.status(200).json({ message: `${req.params.username} is no longer suspended` });
+}));
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, notFound, conflict } from '../lib/errors.js';
+import { string } from '../lib/validation.js';
+import { findUserId } from '../lib/chat.js';
+import { notificationTypes, withdrawNotifications } from '../lib/notifications.js';
+import { cancelUpcomingSessions } from '../lib/sessions.js';
+
+const router = express.Router();
+
+//the users the current user has blocked
+router.get('/blocks', authenticateToken, asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT u.username, u.profile_picture, b.created_at blocked_at
+        FROM blocked_users b
+        JOIN users u ON u.id = b.blocked_id
+        WHERE b.blocker_id = $1
+        ORDER BY b.created_at DESC
+        `, [req.user.id]
+    );
+    res.status(200).json({ blocked: result.rows });
+}));
+
+//block a user. from then on neither of you can see the other's profile, find them in listings or send them requests.
+//a match and any pending requests between you are removed, and upcoming sessions are cancelled.
+//the blocked user isn't told
+router.post('/blocks', authenticateToken, validate({
+    body: { username: string({ label: 'Username' }) }
+}), asyncHandler(async(req, res) => {
+    const blockedUsername = req.body.username;
+    const { username } = req.user;
+    if(blockedUsername === username) throw badRequest('You cannot block yourself');
+    const userId = req.user.id;
+    const blockedId = await findUserId(blockedUsername);
+    await withTransaction(async(client) => {
+        const result = await client.query(
+            'INSERT INTO blocked_users(blocker_id, blocked_id) VALUES($1, $2) ON CONFLICT DO NOTHING', [userId, blockedId]
+        );
+        if(result.rowCount === 0) throw conflict(`You have already blocked ${blockedUsername}`);
+        await client.query(
+            `
+            DELETE FROM matches
+            WHERE (user_id = $1 AND match_id = $2) OR (user_id = $2 AND match_id = $1)
+            `, [userId, blockedId]
+        );
+        await client.query(
+            `
+            DELETE FROM match_requests
+            WHERE (u_id1 = $1 AND u_id2 = $2) OR (u_id1 = $2 AND u_id2 = $1)
+            `, [userId, blockedId]
+        );
+    });
+    await cancelUpcomingSessions(userId, blockedId, 'Cancelled');
+    await withdrawNotifications({ recipient: userId, actor: blockedId, type: notificationTypes.matchRequestReceived });
+    res.status(201).json({ message: `You have blocked ${blockedUsername}` });
+}));
+
+//lifting a block doesn't bring back the match or requests it removed
+router.delete('/blocks/:username', authenticateToken, validate({
+    params: { username: string({ label: 'Username' }) }
+}), asyncHandler(async(req, res) => {
+    const blockedUsername = req.params.username;
+    const result = await pool.query(
+        `
+        DELETE FROM blocked_users
+        WHERE blocker_id = $1
+        AND blocked_id = (SELECT id FROM users WHERE username = $2)
+        `, [req.user.id, blockedUsername]
+    );
+    if(result.rowCount === 0) throw notFound(`You haven't blocked ${blockedUsername}`);
+    res.status(200).json({ message: `You have unblocked ${blockedUsername}` });
+}));
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { string, integer } from '../lib/validation.js';
+import { getConversation, sendMessage, markConversationRead } from '../lib/chat.js';
+
+const router = express.Router();
+
+const partnerParams = { username: string({ label: 'Username' }) };
+
+//list the current user's conversations, most recent first, with unread counts.
+//conversations with a user either side has blocked are left out
+router.get('/conversations', authenticateToken, asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const result = await pool.query(
+        `
+        SELECT
+            p.username,
+            p.profile_picture,
+            c.last_message_at,
+            lm.body last_message,
+            lm.sender_id = $1 last_message_is_mine,
+            (
+                SELECT COUNT(*) FROM messages m
+                WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.read_at IS NULL
+            )::INTEGER unread_count,
+            EXISTS(SELECT 1 FROM matches WHERE user_id = $1 AND match_id = p.id) can_message
+        FROM conversations c
+        JOIN users p ON p.id = CASE WHEN c.user_a_id = $1 THEN c.user_b_id ELSE c.user_a_id END
+        LEFT JOIN LATERAL (
+            SELECT body, sender_id FROM messages
+            WHERE conversation_id = c.id
+            ORDER BY id DESC
+            LIMIT 1
+        ) lm ON true
+        WHERE (c.user_a_id = $1 OR c.user_b_id = $1)
+        AND NOT EXISTS (
+            SELECT 1 FROM blocked_users
+            WHERE (blocker_id = $1 AND blocked_id = p.id)
+            OR (blocker_id = p.id AND blocked_id = $1)
+        )
+        ORDER BY c.last_message_at DESC NULLS LAST
+        `, [userId]
+    );
+    res.status(200).json({
+        conversations: result.rows,
+        unreadCount: result.rows.reduce((total, conversation) => total + conversation.unread_count, 0)
+    });
+}));
+
+//page backwards through the history with the selected user. pass the returned nextCursor as before
+router.get('/conversations/:username/messages', authenticateToken, validate({
+    params: partnerParams,
+    query: {
+        before: integer({ label: 'before', optional: true, min: 1, default: null }),
+        limit: integer({ label: 'limit', optional: true, min: 1, max: 100, default: 30 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { before, limit } = req.query;
+    const userId = req.user.id;
+    const conversation = await getConversation(userId, req.params.username);
+    let messages = [];
+    if(conversation.conversationId) {
+        const result = await pool.query(
+            `
+            SELECT m.id, m.body, m.created_at, m.read_at, u.username sender
+            FROM messages m
+            JOIN users u ON u.id = m.sender_id
+            WHERE m.conversation_id = $1
+            AND ($2::INTEGER IS NULL OR m.id < $2)
+            ORDER BY m.id DESC
+            LIMIT $3
+            `, [conversation.conversationId, before, limit]
+        );
+        messages = result.rows;
+    };
+    res.status(200).json({
+        //oldest first so the client can render them in order
+        messages: messages.reverse(),
+        nextCursor: messages.length === limit ? messages[0].id : null,
+        canMessage: conversation.isMatched
+    });
+}));
+
+//message length and matching rules live in sendMessage so the websocket path enforces them too
+router.post('/conversations/:username/messages', authenticateToken, validate({
+    params: partnerParams
+}), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const message = await sendMessage(userId, req.params.username, req.body.body);
+    res.status(201).json({ message });
+}));
+
+router.post('/conversations/:username/read', authenticateToken, validate({
+    params: partnerParams
+}), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const messageIds = await markConversationRead(userId, req.params.username);
+    res.status(200).json({ messageIds });
+}));
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { pool, checkDatabase } from '../db/pool.js';
+import { isShuttingDown } from '../lib/shutdown.js';
+
+const router = express.Router();
+
+//liveness. answers 200 while the process can serve requests at all, a db outage is reported but
+//doesn't fail it, restarting the service wouldn't bring the database back
+router.get('/healthz', async(req, res) => {
+    const databaseUp = await checkDatabase();
+    res.status(200).json({ 
+        status: 'ok',
+        database: databaseUp ? 'up' : 'down',
+        uptime: Math.round(process.uptime())
+    });
+});
+
+//readiness. 503 while the db is unreachable or the server is draining so traffic goes elsewhere
+router.get('/readyz', async(req, res) => {
+    if(isShuttingDown()) {
+        return res.status(503).json({ status: 'shutting down' });
+    };
+    const databaseUp = await checkDatabase();
+    res.status(databaseUp ? 200 : 503).json({ 
+        status: databaseUp ? 'ready' : 'database unavailable',
+        pool: {
+            total: pool.totalCount,
+            idle: pool.idleCount,
+            waiting: pool.waitingCount
+        }
+    });
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { notFound } from '../lib/errors.js';
+import { integer } from '../lib/validation.js';
+import { notificationColumns, unreadCount, pushUnreadCount, openStream } from '../lib/notifications.js';
+
+const router = express.Router();
+
+//EventSource can't set headers, so like the chat socket the stream accepts the access token in the query string
+function tokenFromQuery(req, res, next) {
+    if(!req.headers['authorization'] && typeof req.query.token === 'string') {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    };
+    next();
+};
+
+//newest first. pass the returned nextCursor as before to get the next page
+router.get('/notifications', authenticateToken, validate({
+    query: {
+        before: integer({ label: 'before', optional: true, min: 1, default: null }),
+        limit: integer({ label: 'limit', optional: true, min: 1, max: 50, default: 20 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { before, limit } = req.query;
+    const userId = req.user.id;
+    const result = await pool.query(
+        `
+        SELECT ${notificationColumns}
+        FROM notifications n
+        LEFT JOIN users a ON a.id = n.actor_id
+        WHERE n.user_id = $1
+        AND ($2::INTEGER IS NULL OR n.id < $2)
+        ORDER BY n.id DESC
+        LIMIT $3
+        `, [userId, before, limit]
+    );
+    res.status(200).json({
+        notifications: result.rows,
+        nextCursor: result.rows.length === limit ? result.rows[result.rows.length - 1].id : null,
+        unreadCount: await unreadCount(userId)
+    });
+}));
+
+router.get('/notifications/unread-count', authenticateToken, asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    res.status(200).json({ unreadCount: await unreadCount(userId) });
+}));
+
+//live notifications as server-sent events: 'notification' for each new one and 'unread-count' whenever it changes
+router.get('/notifications/stream', tokenFromQuery, authenticateToken, asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    await openStream(req, res, userId);
+}));
+
+router.post('/notifications/read-all', authenticateToken, asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const result = await pool.query(
+        'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL', [userId]
+    );
+    await pushUnreadCount(userId);
+    res.status(200).json({ updated: result.rowCount, unreadCount: 0 });
+}));
+
+router.post('/notifications/:id/read', authenticateToken, validate({
+    params: { id: integer({ label: 'id', min: 1 }) }
+}), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const result = await pool.query(
+        `
+        UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+        WHERE id = $1 AND user_id = $2
+        RETURNING read_at
+        `, [req.params.id, userId]
+    );
+    if(result.rowCount === 0) throw notFound('Notification not found');
+    await pushUnreadCount(userId);
+    res.status(200).json({ readAt: result.rows[0].read_at, unreadCount: await unreadCount(userId) });
+}));
+
+export default router;
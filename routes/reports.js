@@ -0,0 +1,58 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, validationFailed, conflict } from '../lib/errors.js';
+import { string } from '../lib/validation.js';
+import { findUserId } from '../lib/chat.js';
+import { reportReasons } from '../lib/moderation.js';
+
+const router = express.Router();
+
+//report a user to the admins, who work through the queue under /api/admin/reports.
+//details are required when the reason is 'other'
+router.post('/reports', authenticateToken, validate({
+    body: {
+        username: string({ label: 'Username' }),
+        reason: string({ label: 'Reason', oneOf: reportReasons }),
+        details: string({ label: 'Details', optional: true, max: 2000 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { username: reportedUsername, reason, details } = req.body;
+    const { username } = req.user;
+    if(reportedUsername === username) throw badRequest('You cannot report yourself');
+    if(reason === 'other' && !details) {
+        throw validationFailed({ details: 'Tell us what happened' });
+    };
+    const reporterId = req.user.id;
+    const reportedId = await findUserId(reportedUsername);
+    const result = await pool.query(
+        `
+        INSERT INTO reports(reporter_id, reported_id, reason, details)
+        VALUES($1, $2, $3, $4)
+        ON CONFLICT (reporter_id, reported_id) WHERE status = 'open' DO NOTHING
+        RETURNING id, reason, details, status, created_at
+        `, [reporterId, reportedId, reason, details]
+    );
+    if(result.rowCount === 0) {
+        throw conflict(`You have already reported ${reportedUsername}, an admin will look at it soon`);
+    };
+    res.status(201).json({ report: { ...result.rows[0], reported: reportedUsername } });
+}));
+
+//the current user's reports and whether they have been dealt with. admin notes stay internal
+router.get('/reports', authenticateToken, asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT r.id, u.username reported, r.reason, r.details, r.status, r.created_at, r.resolved_at
+        FROM reports r
+        JOIN users u ON u.id = r.reported_id
+        WHERE r.reporter_id = $1
+        ORDER BY r.created_at DESC
+        `, [req.user.id]
+    );
+    res.status(200).json({ reports: result.rows });
+}));
+
+export default router;
@@ -0,0 +1,171 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, forbidden, notFound, conflict } from '../lib/errors.js';
+import { string, integer, skillNameRule } from '../lib/validation.js';
+import { findUserId } from '../lib/chat.js';
+import { notificationTypes, notify } from '../lib/notifications.js';
+import { reviewEditWindowDays, reviewEditWindowMs, ratingSummary } from '../lib/reviews.js';
+import { isBlockedBetween } from '../lib/blocks.js';
+import { forgetProfile } from '../lib/cache/index.js';
+
+const router = express.Router();
+
+const reviewParams = { id: integer({ label: 'id', min: 1 }) };
+const ratingRule = (options = {}) => integer({ label: 'Rating', min: 1, max: 5, ...options });
+const bodyRule = (options = {}) => string({ label: 'Review', max: 2000, ...options });
+
+const reviewColumns = `
+    r.id,
+    reviewer.username reviewer,
+    reviewer.profile_picture reviewer_picture,
+    reviewee.username reviewee,
+    s.name skill,
+    r.rating,
+    r.body,
+    r.created_at,
+    r.updated_at
+`;
+
+async function findReview(id) {
+    const result = await pool.query(
+        `
+        SELECT ${reviewColumns}
+        FROM reviews r
+        JOIN users reviewer ON reviewer.id = r.reviewer_id
+        JOIN users reviewee ON reviewee.id = r.reviewee_id
+        JOIN skills s ON s.id = r.skill_id
+        WHERE r.id = $1
+        `, [id]
+    );
+    if(!result.rows[0]) throw notFound('Review not found');
+    return result.rows[0];
+};
+
+//only the author can change a review, and only until the edit window closes
+async function findEditableReview(id, username) {
+    const review = await findReview(id);
+    if(review.reviewer !== username) throw forbidden('You can only change your own reviews');
+    if(Date.now() - review.created_at.getTime() > reviewEditWindowMs) {
+        throw forbidden(`Reviews can only be changed in the first ${reviewEditWindowDays} days`);
+    };
+    return review;
+};
+
+//review how a current or former match taught one of the skills they teach
+router.post('/reviews', authenticateToken, validate({
+    body: {
+        reviewee: string({ label: 'Reviewee' }),
+        skill: skillNameRule(),
+        rating: ratingRule(),
+        body: bodyRule({ optional: true })
+    }
+}), asyncHandler(async(req, res) => {
+    const { reviewee, skill, rating, body } = req.body;
+    const { username } = req.user;
+    if(reviewee === username) throw badRequest('You cannot review yourself');
+    const reviewerId = req.user.id;
+    const revieweeId = await findUserId(reviewee);
+    if(await isBlockedBetween(reviewerId, revieweeId)) throw forbidden(`You can't review ${reviewee}`);
+    const eligibility = await pool.query(
+        `
+        SELECT
+            EXISTS(
+                SELECT 1 FROM match_history
+                WHERE user_a_id = LEAST($1::INTEGER, $2::INTEGER) AND user_b_id = GREATEST($1::INTEGER, $2::INTEGER)
+            ) have_matched,
+            EXISTS(
+                SELECT 1 FROM users_skills us JOIN skills s ON s.id = us.skill_id
+                WHERE us.user_id = $2 AND s.name = $3 AND us.is_teaching
+            ) teaches_skill
+        `, [reviewerId, revieweeId, skill]
+    );
+    const { have_matched: haveMatched, teaches_skill: teachesSkill } = eligibility.rows[0];
+    if(!haveMatched) throw forbidden('You can only review users you have matched with');
+    if(!teachesSkill) throw badRequest(`${reviewee} doesn't teach ${skill}`, { skill: `${reviewee} doesn't teach ${skill}` });
+    const result = await pool.query(
+        `
+        INSERT INTO reviews(reviewer_id, reviewee_id, skill_id, rating, body)
+        VALUES($1, $2, (SELECT id FROM skills WHERE name = $3), $4, $5)
+        ON CONFLICT (reviewer_id, reviewee_id, skill_id) DO NOTHING
+        RETURNING id
+        `, [reviewerId, revieweeId, skill, rating, body]
+    );
+    if(result.rowCount === 0) {
+        throw conflict(`You have already reviewed ${reviewee} for ${skill}, edit that review instead`);
+    };
+    await forgetProfile(revieweeId);
+    const review = await findReview(result.rows[0].id);
+    await notify({
+        recipient: revieweeId,
+        actor: reviewerId,
+        type: notificationTypes.reviewReceived,
+        data: { reviewId: review.id, skill: skill, rating: rating }
+    });
+    res.status(201).json({ review });
+}));
+
+router.patch('/reviews/:id', authenticateToken, validate({
+    params: reviewParams,
+    body: {
+        rating: ratingRule({ optional: true }),
+        body: bodyRule({ optional: true })
+    }
+}), asyncHandler(async(req, res) => {
+    const { rating, body } = req.body;
+    if(rating === undefined && body === undefined) throw badRequest('Send a new rating, review text or both');
+    const review = await findEditableReview(req.params.id, req.user.username);
+    await pool.query(
+        `
+        UPDATE reviews SET rating = COALESCE($2, rating), body = COALESCE($3, body), updated_at = NOW()
+        WHERE id = $1
+        `, [review.id, rating, body]
+    );
+    await forgetProfile(await findUserId(review.reviewee));
+    res.status(200).json({ review: await findReview(review.id) });
+}));
+
+router.delete('/reviews/:id', authenticateToken, validate({ params: reviewParams }), asyncHandler(async(req, res) => {
+    const review = await findEditableReview(req.params.id, req.user.username);
+    await pool.query('DELETE FROM reviews WHERE id = $1', [review.id]);
+    await forgetProfile(await findUserId(review.reviewee));
+    res.status(200).json({ message: 'Review deleted' });
+}));
+
+//reviews a user received, newest first, with their rating summary. pass nextCursor as before for older ones
+router.get('/users/:username/reviews', authenticateToken, validate({
+    params: { username: string({ label: 'Username' }) },
+    query: {
+        skill: skillNameRule({ optional: true, default: null }),
+        before: integer({ label: 'before', optional: true, min: 1, default: null }),
+        limit: integer({ label: 'limit', optional: true, min: 1, max: 50, default: 10 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { username } = req.params;
+    const { skill, before, limit } = req.query;
+    const userId = await findUserId(username);
+    if(await isBlockedBetween(req.user.id, userId)) throw notFound('User not found');
+    const result = await pool.query(
+        `
+        SELECT ${reviewColumns}
+        FROM reviews r
+        JOIN users reviewer ON reviewer.id = r.reviewer_id
+        JOIN users reviewee ON reviewee.id = r.reviewee_id
+        JOIN skills s ON s.id = r.skill_id
+        WHERE r.reviewee_id = $1
+        AND ($2::TEXT IS NULL OR s.name = $2)
+        AND ($3::INTEGER IS NULL OR r.id < $3)
+        ORDER BY r.id DESC
+        LIMIT $4
+        `, [userId, skill, before, limit]
+    );
+    res.status(200).json({
+        ratings: await ratingSummary(userId),
+        reviews: result.rows,
+        nextCursor: result.rows.length === limit ? result.rows[result.rows.length - 1].id : null
+    });
+}));
+
+export default router;
@@ -0,0 +1,276 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, forbidden, notFound, conflict } from '../lib/errors.js';
+import { string, integer, dateTime, urlRule, skillNameRule } from '../lib/validation.js';
+import { findUserId } from '../lib/chat.js';
+import { notificationTypes, notify } from '../lib/notifications.js';
+import { sessionSelect, lockUsers, assertNoOverlap } from '../lib/sessions.js';
+import { createToken, hashToken } from '../lib/tokens.js';
+import { buildCalendar } from '../lib/ical.js';
+import { config } from '../lib/config.js';
+
+const router = express.Router();
+
+const sessionParams = { id: integer({ label: 'id', min: 1 }) };
+const durationRule = (options = {}) => integer({ label: 'Duration', min: 15, max: 480, ...options });
+const locationRules = {
+    location: string({ label: 'Location', optional: true, max: 200 }),
+    meetingUrl: urlRule({ label: 'Meeting link', optional: true })
+};
+
+async function findSession(client, id, userId) {
+    const result = await client.query(
+        `
+        SELECT s.*, s.proposed_by = $2 proposed_by_me, p.username partner_username, sk.name skill
+        FROM sessions s
+        JOIN users p ON p.id = CASE WHEN s.created_by = $2 THEN s.partner_id ELSE s.created_by END
+        LEFT JOIN skills sk ON sk.id = s.skill_id
+        WHERE s.id = $1 AND (s.created_by = $2 OR s.partner_id = $2)
+        FOR UPDATE OF s
+        `, [id, userId]
+    );
+    if(!result.rows[0]) throw notFound('Session not found');
+    const session = result.rows[0];
+    session.partnerId = session.created_by === userId ? session.partner_id : session.created_by;
+    return session;
+};
+
+async function assertMatched(client, userId, partnerId, partnerUsername) {
+    const result = await client.query(
+        'SELECT 1 FROM matches WHERE user_id = $1 AND match_id = $2', [userId, partnerId]
+    );
+    if(result.rows.length === 0) {
+        throw forbidden(`You can only schedule sessions with users you are matched with, you aren't matched with ${partnerUsername}`);
+    };
+};
+
+async function sessionView(id, userId) {
+    const result = await pool.query(`${sessionSelect} WHERE s.id = $2`, [userId, id]);
+    return result.rows[0];
+};
+
+function notifyPartner(session, actor, type, startsAt = session.starts_at) {
+    return notify({
+        recipient: session.partnerId,
+        actor: actor,
+        type: type,
+        data: { sessionId: session.id, skill: session.skill, startsAt: startsAt }
+    });
+};
+
+//the current user's sessions. upcoming (default) runs soonest first, past runs most recent first
+router.get('/sessions', authenticateToken, validate({
+    query: {
+        scope: string({ label: 'Scope', optional: true, default: 'upcoming', oneOf: ['upcoming', 'past'] })
+    }
+}), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const upcoming = req.query.scope === 'upcoming';
+    const result = await pool.query(
+        `
+        ${sessionSelect}
+        WHERE (s.created_by = $1 OR s.partner_id = $1)
+        AND (s.starts_at + s.duration_minutes * INTERVAL '1 minute' > NOW()) = $2
+        ORDER BY s.starts_at ${upcoming ? 'ASC' : 'DESC'}
+        `, [userId, upcoming]
+    );
+    res.status(200).json({ sessions: result.rows });
+}));
+
+//propose a session to a match. it is confirmed once the partner accepts
+router.post('/sessions', authenticateToken, validate({
+    body: {
+        partner: string({ label: 'Partner' }),
+        skill: skillNameRule({ optional: true }),
+        startsAt: dateTime({ label: 'Start time', future: true }),
+        durationMinutes: durationRule({ optional: true, default: 60 }),
+        ...locationRules,
+        notes: string({ label: 'Notes', optional: true, max: 1000 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { partner, skill, startsAt, durationMinutes, location, meetingUrl, notes } = req.body;
+    const { username } = req.user;
+    if(partner === username) throw badRequest('You cannot schedule a session with yourself');
+    const userId = req.user.id;
+    const partnerId = await findUserId(partner);
+    const sessionId = await withTransaction(async(client) => {
+        await assertMatched(client, userId, partnerId, partner);
+        await lockUsers(client, [userId, partnerId]);
+        await assertNoOverlap(client, { userId, partnerId, partnerUsername: partner, startsAt, durationMinutes });
+        const result = await client.query(
+            `
+            INSERT INTO sessions(created_by, partner_id, proposed_by, skill_id, starts_at, duration_minutes, location, meeting_url, notes)
+            VALUES($1, $2, $1, (SELECT id FROM skills WHERE name = $3), $4, $5, $6, $7, $8)
+            RETURNING id
+            `, [userId, partnerId, skill, startsAt, durationMinutes, location, meetingUrl, notes]
+        );
+        return result.rows[0].id;
+    });
+    await notify({
+        recipient: partnerId,
+        actor: userId,
+        type: notificationTypes.sessionProposed,
+        data: { sessionId: sessionId, skill: skill ?? null, startsAt: startsAt }
+    });
+    res.status(201).json({ session: await sessionView(sessionId, userId) });
+}));
+
+//accept the time the partner proposed
+router.post('/sessions/:id/accept', authenticateToken, validate({ params: sessionParams }), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const session = await withTransaction(async(client) => {
+        const session = await findSession(client, req.params.id, userId);
+        if(session.status !== 'proposed') throw conflict(`This session is already ${session.status}`);
+        if(session.proposed_by_me) {
+            throw conflict(`You proposed this time, ${session.partner_username} has to accept it`);
+        };
+        if(session.starts_at <= new Date()) throw badRequest('This session has already started');
+        await assertMatched(client, userId, session.partnerId, session.partner_username);
+        await lockUsers(client, [userId, session.partnerId]);
+        await assertNoOverlap(client, {
+            userId,
+            partnerId: session.partnerId,
+            partnerUsername: session.partner_username,
+            startsAt: session.starts_at,
+            durationMinutes: session.duration_minutes,
+            exceptSessionId: session.id
+        });
+        await client.query(
+            `UPDATE sessions SET status = 'confirmed', sequence = sequence + 1, updated_at = NOW() WHERE id = $1`,
+            [session.id]
+        );
+        return session;
+    });
+    await notifyPartner(session, userId, notificationTypes.sessionAccepted);
+    res.status(200).json({ session: await sessionView(session.id, userId) });
+}));
+
+//propose a new time, and optionally a new duration or place. the partner has to accept it again
+router.post('/sessions/:id/reschedule', authenticateToken, validate({
+    params: sessionParams,
+    body: {
+        startsAt: dateTime({ label: 'Start time', future: true }),
+        durationMinutes: durationRule({ optional: true }),
+        ...locationRules
+    }
+}), asyncHandler(async(req, res) => {
+    const { startsAt, location, meetingUrl } = req.body;
+    const userId = req.user.id;
+    const session = await withTransaction(async(client) => {
+        const session = await findSession(client, req.params.id, userId);
+        if(session.status === 'cancelled') throw conflict('This session was cancelled');
+        const durationMinutes = req.body.durationMinutes ?? session.duration_minutes;
+        await assertMatched(client, userId, session.partnerId, session.partner_username);
+        await lockUsers(client, [userId, session.partnerId]);
+        await assertNoOverlap(client, {
+            userId,
+            partnerId: session.partnerId,
+            partnerUsername: session.partner_username,
+            startsAt,
+            durationMinutes,
+            exceptSessionId: session.id
+        });
+        await client.query(
+            `
+            UPDATE sessions
+            SET status = 'proposed', proposed_by = $2, starts_at = $3, duration_minutes = $4,
+                location = COALESCE($5, location), meeting_url = COALESCE($6, meeting_url),
+                sequence = sequence + 1, updated_at = NOW()
+            WHERE id = $1
+            `, [session.id, userId, startsAt, durationMinutes, location, meetingUrl]
+        );
+        return session;
+    });
+    await notifyPartner(session, userId, notificationTypes.sessionRescheduled, startsAt);
+    res.status(200).json({ session: await sessionView(session.id, userId) });
+}));
+
+//either user can cancel, whether the session was confirmed or still waiting for an answer
+router.post('/sessions/:id/cancel', authenticateToken, validate({
+    params: sessionParams,
+    body: { reason: string({ label: 'Reason', optional: true, max: 500 }) }
+}), asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    const session = await withTransaction(async(client) => {
+        const session = await findSession(client, req.params.id, userId);
+        if(session.status === 'cancelled') throw conflict('This session is already cancelled');
+        await client.query(
+            `
+            UPDATE sessions
+            SET status = 'cancelled', cancelled_by = $2, cancel_reason = $3, sequence = sequence + 1, updated_at = NOW()
+            WHERE id = $1
+            `, [session.id, userId, req.body.reason]
+        );
+        return session;
+    });
+    await notifyPartner(session, userId, notificationTypes.sessionCancelled);
+    res.status(200).json({ session: await sessionView(session.id, userId) });
+}));
+
+function calendarFeedUrl(token) {
+    return `${config.publicUrl}/api/calendar/${token}.ics`;
+};
+
+//create the user's calendar feed url, replacing the previous one. the url is the only credential,
+//so it is shown once and can't be looked up again, only replaced
+router.post('/sessions/calendar-feed', authenticateToken, asyncHandler(async(req, res) => {
+    const token = createToken();
+    await pool.query(
+        'UPDATE users SET calendar_feed_token_hash = $1 WHERE id = $2', [hashToken(token), req.user.id]
+    );
+    res.status(201).json({ url: calendarFeedUrl(token) });
+}));
+
+router.delete('/sessions/calendar-feed', authenticateToken, asyncHandler(async(req, res) => {
+    await pool.query('UPDATE users SET calendar_feed_token_hash = NULL WHERE id = $1', [req.user.id]);
+    res.status(200).json({ message: 'Calendar feed turned off' });
+}));
+
+//the iCalendar feed calendar apps subscribe to. upcoming sessions only, cancelled ones are kept
+//so calendars that already copied them take them off
+router.get('/calendar/:token.ics', asyncHandler(async(req, res) => {
+    const userResult = await pool.query(
+        'SELECT id, username FROM users WHERE calendar_feed_token_hash = $1', [hashToken(req.params.token)]
+    );
+    const user = userResult.rows[0];
+    if(!user) throw notFound('Calendar feed not found');
+    const result = await pool.query(
+        `
+        ${sessionSelect}
+        WHERE (s.created_by = $1 OR s.partner_id = $1)
+        AND s.starts_at + s.duration_minutes * INTERVAL '1 minute' > NOW()
+        ORDER BY s.starts_at
+        `, [user.id]
+    );
+    const statuses = { proposed: 'TENTATIVE', confirmed: 'CONFIRMED', cancelled: 'CANCELLED' };
+    const calendar = buildCalendar({
+        name: `Skill Swap sessions for ${user.username}`,
+        events: result.rows.map(session => ({
+            uid: `session-${session.id}@skillswap`,
+            start: session.starts_at,
+            end: session.ends_at,
+            summary: `${session.skill || 'Skill swap'} with ${session.partner}`,
+            description: [
+                session.status === 'proposed' && `Waiting for ${session.awaiting_my_response ? 'you' : session.partner} to accept this time.`,
+                session.notes,
+                session.meeting_url
+            ].filter(Boolean).join('\n\n'),
+            location: session.location || session.meeting_url,
+            url: session.meeting_url,
+            status: statuses[session.status],
+            sequence: session.sequence,
+            updatedAt: session.updated_at
+        }))
+    });
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="skillswap-sessions.ics"',
+        'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+}));
+
+export default router;
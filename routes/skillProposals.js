@@ -0,0 +1,78 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, conflict } from '../lib/errors.js';
+import { string, withCheck } from '../lib/validation.js';
+
+const router = express.Router();
+
+//keeps one user from flooding the admin queue
+const maxPendingPerUser = 5;
+
+//suggest a skill that isn't in the catalog yet. admins review the queue under /api/admin/skill-proposals
+router.post('/skill-proposals', authenticateToken, validate({
+    body: {
+        name: string({ label: 'Skill', max: 100 }),
+        category: withCheck(
+            string({ label: 'Category', optional: true, max: 100 }),
+            async(category) => {
+                const result = await pool.query('SELECT 1 FROM categories WHERE category = $1', [category]);
+                if(result.rows.length === 0) return `There is no category called '${category}'`;
+            }
+        ),
+        note: string({ label: 'Note', optional: true, max: 500 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { name, category, note } = req.body;
+    const existingSkill = await pool.query('SELECT name FROM skills WHERE LOWER(name) = LOWER($1)', [name]);
+    if(existingSkill.rows[0]) {
+        throw conflict(`'${existingSkill.rows[0].name}' is already in the catalog`, { name: 'Skill already exists' });
+    };
+    const pending = await pool.query(
+        `
+        SELECT
+            COUNT(*) FILTER (WHERE user_id = $1)::INTEGER mine,
+            BOOL_OR(LOWER(name) = LOWER($2)) already_proposed
+        FROM skill_proposals
+        WHERE status = 'pending'
+        `, [req.user.id, name]
+    );
+    if(pending.rows[0].already_proposed) {
+        throw conflict(`'${name}' has already been proposed and is waiting for review`, { name: 'Already proposed' });
+    };
+    if(pending.rows[0].mine >= maxPendingPerUser) {
+        throw badRequest(`You already have ${maxPendingPerUser} proposals waiting for review`);
+    };
+    const result = await pool.query(
+        `
+        INSERT INTO skill_proposals(user_id, name, category_id, note)
+        VALUES(
+            $1,
+            $2,
+            (SELECT id FROM categories WHERE category = $3),
+            $4
+        )
+        RETURNING id, name, status, created_at
+        `, [req.user.id, name, category, note]
+    );
+    res.status(201).json({ proposal: { ...result.rows[0], category: category ?? null } });
+}));
+
+//the current user's proposals and what became of them
+router.get('/skill-proposals', authenticateToken, asyncHandler(async(req, res) => {
+    const result = await pool.query(
+        `
+        SELECT sp.id, sp.name, c.category, sp.note, sp.status, s.name skill, sp.review_note, sp.reviewed_at, sp.created_at
+        FROM skill_proposals sp
+        LEFT JOIN categories c ON c.id = sp.category_id
+        LEFT JOIN skills s ON s.id = sp.skill_id
+        WHERE sp.user_id = $1
+        ORDER BY sp.created_at DESC
+        `, [req.user.id]
+    );
+    res.status(200).json({ proposals: result.rows });
+}));
+
+export default router;
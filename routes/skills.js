@@ -0,0 +1,135 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, validationFailed, forbidden, notFound, conflict } from '../lib/errors.js';
+import { string, list, skillNameRule } from '../lib/validation.js';
+import { findUserId } from '../lib/chat.js';
+import { notificationTypes, notify } from '../lib/notifications.js';
+import { isBlockedBetween } from '../lib/blocks.js';
+import { auditEvents, recordAudit } from '../lib/audit.js';
+import { forgetProfile } from '../lib/cache/index.js';
+import { skillLevels, skillSides, levelError, skillRanking, setSkillRanking, skillEndorsers } from '../lib/skills.js';
+
+const router = express.Router();
+
+const levelRule = (options = {}) => string({ label: 'Level', optional: true, default: null, oneOf: skillLevels, ...options });
+const endorsementParams = {
+    username: string({ label: 'Username' }),
+    skill: skillNameRule()
+};
+
+//the levels a skill can be set to, lowest first, so clients don't hard code them
+router.get('/skills/levels', (req, res) => {
+    res.status(200).json({ levels: skillLevels });
+});
+
+//set the priority order of the learning or teaching list. skills lists the ranked skills first to last,
+//the rest of that side keeps no rank. an empty list clears the ranking
+router.put('/skills/priorities/:side', authenticateToken, validate({
+    params: { side: string({ label: 'Side', oneOf: Object.keys(skillSides) }) },
+    body: { skills: list(string({ label: 'Skill', max: 100 }), { label: 'Skills' }) }
+}), asyncHandler(async(req, res) => {
+    const { side } = req.params;
+    const { skills } = req.body;
+    const userId = req.user.id;
+    const ranking = await withTransaction(async(client) => {
+        await setSkillRanking(client, userId, side, skills);
+        return skillRanking(client, userId, side);
+    });
+    await forgetProfile(userId);
+    await recordAudit(req, { userId, event: auditEvents.prioritySkillChanged, data: { side, skills: ranking } });
+    res.status(200).json({ side, priorities: ranking });
+}));
+
+//set how good the user is at one of their skills and, when learning it, how good they want to get.
+//a level left out is cleared
+router.put('/skills/:skill/level', authenticateToken, validate({
+    params: { skill: skillNameRule() },
+    body: {
+        level: levelRule(),
+        targetLevel: levelRule({ label: 'Target level' })
+    }
+}), asyncHandler(async(req, res) => {
+    const { skill } = req.params;
+    const { level, targetLevel } = req.body;
+    const error = levelError(level, targetLevel);
+    if(error) throw validationFailed({ targetLevel: error });
+    const userId = req.user.id;
+    const current = await pool.query(
+        'SELECT is_learning FROM users_skills WHERE user_id = $1 AND skill_id = (SELECT id FROM skills WHERE name = $2)',
+        [userId, skill]
+    );
+    if(!current.rows[0]) throw notFound(`'${skill}' is not on your list`);
+    if(targetLevel && !current.rows[0].is_learning) {
+        throw validationFailed({ targetLevel: 'Only skills you are learning have a target level' });
+    };
+    await pool.query(
+        `
+        UPDATE users_skills SET level = $3, target_level = $4
+        WHERE user_id = $1 AND skill_id = (SELECT id FROM skills WHERE name = $2)
+        `, [userId, skill, level, targetLevel]
+    );
+    await forgetProfile(userId);
+    await recordAudit(req, { userId, event: auditEvents.skillLevelChanged, data: { skill, level, targetLevel } });
+    res.status(200).json({ skill, level, targetLevel });
+}));
+
+//vouch for a skill a current or former match teaches
+router.post('/users/:username/skills/:skill/endorsements', authenticateToken, validate({
+    params: endorsementParams
+}), asyncHandler(async(req, res) => {
+    const { username: endorsee, skill } = req.params;
+    const { username } = req.user;
+    if(endorsee === username) throw badRequest('You cannot endorse yourself');
+    const endorserId = req.user.id;
+    const endorseeId = await findUserId(endorsee);
+    if(await isBlockedBetween(endorserId, endorseeId)) throw forbidden(`You can't endorse ${endorsee}`);
+    const eligibility = await pool.query(
+        `
+        SELECT
+            EXISTS(
+                SELECT 1 FROM match_history
+                WHERE user_a_id = LEAST($1::INTEGER, $2::INTEGER) AND user_b_id = GREATEST($1::INTEGER, $2::INTEGER)
+            ) have_matched,
+            EXISTS(
+                SELECT 1 FROM users_skills us JOIN skills s ON s.id = us.skill_id
+                WHERE us.user_id = $2 AND s.name = $3 AND us.is_teaching
+            ) teaches_skill
+        `, [endorserId, endorseeId, skill]
+    );
+    const { have_matched: haveMatched, teaches_skill: teachesSkill } = eligibility.rows[0];
+    if(!haveMatched) throw forbidden('You can only endorse users you have matched with');
+    if(!teachesSkill) throw badRequest(`${endorsee} doesn't teach ${skill}`, { skill: `${endorsee} doesn't teach ${skill}` });
+    const result = await pool.query(
+        `
+        INSERT INTO skill_endorsements(endorser_id, user_id, skill_id)
+        VALUES($1, $2, (SELECT id FROM skills WHERE name = $3))
+        ON CONFLICT DO NOTHING
+        `, [endorserId, endorseeId, skill]
+    );
+    if(result.rowCount === 0) throw conflict(`You have already endorsed ${endorsee} for ${skill}`);
+    await forgetProfile(endorseeId);
+    await notify({ recipient: endorseeId, actor: endorserId, type: notificationTypes.skillEndorsed, data: { skill } });
+    res.status(201).json({ skill, endorsedBy: await skillEndorsers(endorseeId, skill) });
+}));
+
+router.delete('/users/:username/skills/:skill/endorsements', authenticateToken, validate({
+    params: endorsementParams
+}), asyncHandler(async(req, res) => {
+    const { username: endorsee, skill } = req.params;
+    const endorserId = req.user.id;
+    const endorseeId = await findUserId(endorsee);
+    const result = await pool.query(
+        `
+        DELETE FROM skill_endorsements
+        WHERE endorser_id = $1 AND user_id = $2 AND skill_id = (SELECT id FROM skills WHERE name = $3)
+        `, [endorserId, endorseeId, skill]
+    );
+    if(result.rowCount === 0) throw notFound(`You haven't endorsed ${endorsee} for ${skill}`);
+    await forgetProfile(endorseeId);
+    res.status(200).json({ skill, endorsedBy: await skillEndorsers(endorseeId, skill) });
+}));
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { badRequest, validationFailed, notFound } from '../lib/errors.js';
+import { string, list } from '../lib/validation.js';
+import {
+    socialPlatforms, linkVisibilities, normalizeSocialLink, socialLinkRule, upsertSocialLinks
+} from '../lib/socialLinks.js';
+import { auditEvents, recordAudit } from '../lib/audit.js';
+import { forgetProfile } from '../lib/cache/index.js';
+
+const router = express.Router();
+
+const platformNames = Object.keys(socialPlatforms);
+const platformParams = { platform: string({ label: 'Platform', oneOf: platformNames }) };
+
+async function recordLinksChanged(req, userId) {
+    await forgetProfile(userId);
+    await recordAudit(req, { userId, event: auditEvents.profileUpdated, data: { changed: ['social_links'] } });
+};
+
+async function listLinks(userId) {
+    const result = await pool.query(
+        'SELECT platform, url, visibility, position FROM social_links WHERE user_id = $1 ORDER BY position, id', [userId]
+    );
+    return result.rows;
+};
+
+//the platforms links can be added for, so clients don't hard code them
+router.get('/social-links/platforms', (req, res) => {
+    res.status(200).json({
+        platforms: platformNames.map(platform => ({ platform, label: socialPlatforms[platform].label })),
+        visibilities: linkVisibilities
+    });
+});
+
+//the current user's links in display order, matches only ones included
+router.get('/social-links', authenticateToken, asyncHandler(async(req, res) => {
+    const userId = req.user.id;
+    res.status(200).json({ links: await listLinks(userId) });
+}));
+
+//add several links at once. a platform that already has a link gets the new address instead
+router.post('/social-links', authenticateToken, validate({
+    body: { links: list(socialLinkRule(), { label: 'Links', min: 1, max: platformNames.length }) }
+}), asyncHandler(async(req, res) => {
+    const { links } = req.body;
+    const platforms = links.map(link => link.platform);
+    const repeated = platforms.find((platform, i) => platforms.indexOf(platform) !== i);
+    if(repeated) throw validationFailed({ links: `${socialPlatforms[repeated].label} is listed more than once` });
+    const userId = req.user.id;
+    await withTransaction(client => upsertSocialLinks(client, userId, links));
+    await recordLinksChanged(req, userId);
+    res.status(200).json({ links: await listLinks(userId) });
+}));
+
+router.patch('/social-links/:platform', authenticateToken, validate({
+    params: platformParams,
+    body: {
+        url: string({ label: 'Link', optional: true, max: 2048 }),
+        visibility: string({ label: 'Visibility', optional: true, oneOf: linkVisibilities })
+    }
+}), asyncHandler(async(req, res) => {
+    const { platform } = req.params;
+    const { visibility } = req.body;
+    if(req.body.url === undefined && visibility === undefined) throw badRequest('Send a new link, visibility or both');
+    let url = null;
+    if(req.body.url !== undefined) {
+        const normalized = normalizeSocialLink(platform, req.body.url);
+        if(normalized.error) throw validationFailed({ url: normalized.error });
+        url = normalized.value;
+    };
+    const userId = req.user.id;
+    const result = await pool.query(
+        `
+        UPDATE social_links SET url = COALESCE($3, url), visibility = COALESCE($4, visibility)
+        WHERE user_id = $1 AND platform = $2
+        `, [userId, platform, url, visibility]
+    );
+    if(result.rowCount === 0) throw notFound(`You haven't added a ${socialPlatforms[platform].label} link`);
+    await recordLinksChanged(req, userId);
+    res.status(200).json({ links: await listLinks(userId) });
+}));
+
+//not limited to registered platforms so links saved before the registry existed can still be removed
+router.delete('/social-links/:platform', authenticateToken, validate({
+    params: { platform: string({ label: 'Platform', max: 50 }) }
+}), asyncHandler(async(req, res) => {
+    const { platform } = req.params;
+    const userId = req.user.id;
+    const result = await pool.query('DELETE FROM social_links WHERE user_id = $1 AND platform = $2', [userId, platform]);
+    if(result.rowCount === 0) throw notFound(`You haven't added a ${socialPlatforms[platform]?.label ?? platform} link`);
+    await recordLinksChanged(req, userId);
+    res.status(200).json({ links: await listLinks(userId) });
+}));
+
+//set the display order. platforms lists every link the user has, first to last
+router.put('/social-links/order', authenticateToken, validate({
+    body: { platforms: list(string({ label: 'Platform', max: 50 }), { label: 'Platforms', min: 1 }) }
+}), asyncHandler(async(req, res) => {
+    const { platforms } = req.body;
+    const userId = req.user.id;
+    await withTransaction(async(client) => {
+        const existing = await client.query('SELECT platform FROM social_links WHERE user_id = $1 FOR UPDATE', [userId]);
+        const saved = existing.rows.map(row => row.platform);
+        if(platforms.length !== saved.length || !saved.every(platform => platforms.includes(platform))) {
+            throw validationFailed({ platforms: `List each of your links once: ${saved.join(', ')}` });
+        };
+        await client.query(
+            `
+            UPDATE social_links sl SET position = ordered.position - 1
+            FROM UNNEST($2::TEXT[]) WITH ORDINALITY ordered(platform, position)
+            WHERE sl.user_id = $1 AND sl.platform = ordered.platform
+            `, [userId, platforms]
+        );
+    });
+    await forgetProfile(userId);
+    res.status(200).json({ links: await listLinks(userId) });
+}));
+
+export default router;
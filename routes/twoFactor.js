@@ -0,0 +1,103 @@
+import express from 'express';
+import { pool, withTransaction } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { validationFailed, notFound, conflict, tooManyRequests } from '../lib/errors.js';
+import { string } from '../lib/validation.js';
+import { generateTotpSecret, totpUri, encryptTotpSecret } from '../lib/totp.js';
+import { createRecoveryCodes, verifySecondFactor, recoveryCodesLeft } from '../lib/twoFactor.js';
+import { lockedForMs, recordFailedSignin, clearFailedSignins } from '../lib/signinAttempts.js';
+import { auditEvents, recordAudit } from '../lib/audit.js';
+
+const router = express.Router();
+
+const totpIssuer = 'Skill Swap';
+const codeBody = { code: string({ label: 'Code', max: 20 }) };
+
+async function findUser(userId) {
+    const result = await pool.query(
+        'SELECT id, username, totp_secret, totp_enabled_at FROM users WHERE id = $1', [userId]
+    );
+    if(!result.rows[0]) throw notFound('User not found');
+    return result.rows[0];
+};
+
+//wrong codes count towards the same lockout as wrong passwords, so a stolen access token
+//can't be used to guess its way to turning 2fa off
+async function assertCode(user, code, options) {
+    const lockedMs = await lockedForMs(user.username, req.ip);
+    if(lockedMs > 0) throw tooManyRequests('Too many failed attempts, try again later', lockedMs);
+    if(!await verifySecondFactor(user, code, options)) {
+        await recordFailedSignin(user.username, req.ip);
+        throw validationFailed({ code: 'That code is not right, check the time on your device and try again' });
+    };
+    await clearFailedSignins(user.username, req.ip);
+};
+
+router.get('/account/2fa', authenticateToken, asyncHandler(async(req, res) => {
+    const user = await findUser(req.user.id);
+    res.status(200).json({
+        enabled: Boolean(user.totp_enabled_at),
+        enabledAt: user.totp_enabled_at,
+        recoveryCodesLeft: user.totp_enabled_at ? await recoveryCodesLeft(user.id) : 0
+    });
+}));
+
+//start enrolling. the secret (or the uri as a qr code) goes into an authenticator app,
+//2fa is only turned on once a code from the app is sent to /account/2fa/confirm.
+//starting again replaces the secret of an unfinished setup
+router.post('/account/2fa/setup', authenticateToken, asyncHandler(async(req, res) => {
+    const user = await findUser(req.user.id);
+    if(user.totp_enabled_at) throw conflict('Two-factor authentication is already on');
+    const secret = generateTotpSecret();
+    await pool.query(
+        'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1', [user.id, encryptTotpSecret(secret)]
+    );
+    res.status(200).json({ secret, otpauthUri: totpUri({ secret, account: user.username, issuer: totpIssuer }) });
+}));
+
+//turn 2fa on with the first code from the app. the recovery codes are only ever shown in this response
+router.post('/account/2fa/confirm', authenticateToken, validate({ body: codeBody }), asyncHandler(async(req, res) => {
+    const user = await findUser(req.user.id);
+    if(user.totp_enabled_at) throw conflict('Two-factor authentication is already on');
+    if(!user.totp_secret) throw conflict('Start the setup first');
+    await assertCode(user, req.body.code, { allowRecoveryCode: false });
+    const recoveryCodes = await withTransaction(async(client) => {
+        await client.query('UPDATE users SET totp_enabled_at = NOW() WHERE id = $1', [user.id]);
+        return createRecoveryCodes(client, user.id);
+    });
+    await recordAudit(req, { userId: user.id, event: auditEvents.twoFactorEnabled });
+    res.status(200).json({
+        message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe, each works once',
+        recoveryCodes
+    });
+}));
+
+//replace every recovery code, e.g. when most are used up. needs a code from the app
+router.post('/account/2fa/recovery-codes', authenticateToken, validate({ body: codeBody }), asyncHandler(async(req, res) => {
+    const user = await findUser(req.user.id);
+    if(!user.totp_enabled_at) throw conflict('Two-factor authentication is off');
+    await assertCode(user, req.body.code, { allowRecoveryCode: false });
+    const recoveryCodes = await withTransaction(client => createRecoveryCodes(client, user.id));
+    await recordAudit(req, { userId: user.id, event: auditEvents.recoveryCodesRegenerated });
+    res.status(200).json({ message: 'Your old recovery codes no longer work', recoveryCodes });
+}));
+
+//turn 2fa off with a code from the app, or a recovery code if the app is gone
+router.delete('/account/2fa', authenticateToken, validate({ body: codeBody }), asyncHandler(async(req, res) => {
+    const user = await findUser(req.user.id);
+    if(!user.totp_enabled_at) throw conflict('Two-factor authentication is off');
+    await assertCode(user, req.body.code);
+    await withTransaction(async(client) => {
+        await client.query(
+            'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1', [user.id]
+        );
+        await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+        await client.query(`DELETE FROM user_tokens WHERE user_id = $1 AND purpose = 'signin_challenge'`, [user.id]);
+    });
+    await recordAudit(req, { userId: user.id, event: auditEvents.twoFactorDisabled });
+    res.status(200).json({ message: 'Two-factor authentication is off' });
+}));
+
+export default router;
@@ -0,0 +1,211 @@
+import express from 'express';
+import { pool } from '../db/pool.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+import { validationFailed, notFound } from '../lib/errors.js';
+import { string, integer, withCheck, skillNameRule } from '../lib/validation.js';
+import { isBlockedBetween } from '../lib/blocks.js';
+import { resolveUsername } from '../lib/usernames.js';
+
+const router = express.Router();
+
+//timestamps go in cursors as utc with microseconds, e.g. 2025-03-01T08:30:00.123456Z, so they can be checked here
+const cursorTimestampPattern = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})\.\d{6}Z$/;
+
+function isCursorTimestamp(value) {
+    const match = cursorTimestampPattern.exec(value);
+    //the round trip catches dates that don't exist, like february 30th
+    return Boolean(match) && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(match[1]);
+};
+
+//sort name -> column the cards are ordered by, newest to oldest or highest to lowest. ties are broken by id.
+//cursorText is how the column is written into cursors, isValid checks a value read back from one
+const sortColumns = {
+    newest: {
+        column: 'created_at',
+        type: 'TIMESTAMPTZ',
+        cursorText: `TO_CHAR(c.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`,
+        isValid: isCursorTimestamp
+    },
+    overlap: { column: 'overlap', type: 'INTEGER', cursorText: 'c.overlap::TEXT', isValid: value => /^\d{1,9}$/.test(value) },
+    rating: { column: 'rating', type: 'NUMERIC', cursorText: 'c.rating::TEXT', isValid: value => /^\d{1,3}(\.\d{1,10})?$/.test(value) }
+};
+
+const invalidCursor = 'Cursor is not valid, start again from the first page';
+
+//the cursor holds the sort, sort value and id of the last card on the previous page. clients pass it back untouched
+function encodeCursor(sort, sortValue, id) {
+    return Buffer.from(JSON.stringify([sort, sortValue, id])).toString('base64url');
+};
+
+//the handler also checks the cursor was made for the sort being asked for
+async function cursorRule(value) {
+    const result = await string({ label: 'Cursor', optional: true, default: null })(value);
+    if(result.error || result.value === null) return result;
+    try {
+        const [sort, sortValue, id] = JSON.parse(Buffer.from(result.value, 'base64url').toString());
+        if(
+            Object.hasOwn(sortColumns, sort)
+            && typeof sortValue === 'string' && sortColumns[sort].isValid(sortValue)
+            && Number.isInteger(id)
+        ) {
+            return { value: { sort, sortValue, id } };
+        };
+    } catch(err) {
+        //falls through to the error below
+    };
+    return { error: invalidCursor };
+};
+
+const categoryRule = withCheck(
+    string({ label: 'Category', optional: true, default: null, max: 100 }),
+    async(category) => {
+        const result = await pool.query('SELECT 1 FROM categories WHERE category = $1', [category]);
+        if(result.rows.length === 0) return `There is no category called '${category}'`;
+    }
+);
+
+//escape like wildcards so a search for 50% finds the text 50%
+function containsPattern(text) {
+    return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+};
+
+//browse other users as lightweight cards. every filter is optional:
+//  q         text searched for in usernames and descriptions
+//  skill     users with this skill
+//  category  users with a skill in this category
+//  role      teaching or learning, narrows skill and category to that side. on its own, users with any skill on that side
+//  sort      newest (default), overlap, the number of skills you could swap with them,
+//            or rating, their average review rating for skill when one is given, else overall. unrated users come last
+//blocked and suspended users never show up. pages are fetched with the nextCursor of the previous page, it is null on the last page
+router.get('/users', authenticateToken, validate({
+    query: {
+        q: string({ label: 'Search', optional: true, default: null, max: 100 }),
+        skill: skillNameRule({ optional: true, default: null }),
+        category: categoryRule,
+        role: string({ label: 'Role', optional: true, default: null, oneOf: ['teaching', 'learning'] }),
+        sort: string({ label: 'Sort', optional: true, default: 'newest', oneOf: Object.keys(sortColumns) }),
+        cursor: cursorRule,
+        limit: integer({ label: 'Limit', optional: true, min: 1, max: 50, default: 20 })
+    }
+}), asyncHandler(async(req, res) => {
+    const { q, skill, category, role, sort, cursor, limit } = req.query;
+    if(cursor && cursor.sort !== sort) throw validationFailed({ cursor: invalidCursor });
+    const { column, type, cursorText } = sortColumns[sort];
+    const result = await pool.query(
+        `
+        WITH me AS (
+            SELECT $1::INTEGER id
+        ),
+        cards AS (
+            SELECT
+                u.id,
+                u.username,
+                u.profile_picture,
+                u.description,
+                u.created_at,
+                --skills one of you teaches and the other wants to learn
+                (
+                    SELECT COUNT(*) FROM users_skills mine
+                    JOIN users_skills theirs ON theirs.skill_id = mine.skill_id AND theirs.user_id = u.id
+                        AND ((mine.is_learning AND theirs.is_teaching) OR (mine.is_teaching AND theirs.is_learning))
+                    WHERE mine.user_id = (SELECT id FROM me)
+                )::INTEGER overlap,
+                (
+                    SELECT COALESCE(ROUND(AVG(r.rating), 2), 0) FROM reviews r
+                    WHERE r.reviewee_id = u.id
+                    AND ($3::TEXT IS NULL OR r.skill_id = (SELECT id FROM skills WHERE name = $3))
+                ) rating,
+                (
+                    SELECT COUNT(*) FROM reviews r
+                    WHERE r.reviewee_id = u.id
+                    AND ($3::TEXT IS NULL OR r.skill_id = (SELECT id FROM skills WHERE name = $3))
+                )::INTEGER review_count
+            FROM users u
+            WHERE u.id <> (SELECT id FROM me)
+            AND u.suspended_at IS NULL
+            AND NOT EXISTS (
+                SELECT 1 FROM blocked_users
+                WHERE (blocker_id = (SELECT id FROM me) AND blocked_id = u.id)
+                OR (blocker_id = u.id AND blocked_id = (SELECT id FROM me))
+            )
+            AND ($2::TEXT IS NULL OR u.username ILIKE $2 OR u.description ILIKE $2)
+            AND (
+                ($3::TEXT IS NULL AND $4::TEXT IS NULL AND $5::TEXT IS NULL)
+                OR EXISTS (
+                    SELECT 1 FROM users_skills us
+                    JOIN skills s ON s.id = us.skill_id
+                    WHERE us.user_id = u.id
+                    AND ($3::TEXT IS NULL OR s.name = $3)
+                    AND ($4::TEXT IS NULL OR EXISTS (
+                        SELECT 1 FROM categories_skills cs
+                        JOIN categories c ON c.id = cs.category_id
+                        WHERE cs.skill_id = s.id AND c.category = $4
+                    ))
+                    AND ($5::TEXT IS NULL OR ($5 = 'teaching' AND us.is_teaching) OR ($5 = 'learning' AND us.is_learning))
+                )
+            )
+        )
+        SELECT
+            c.id,
+            c.username,
+            c.profile_picture,
+            c.description,
+            c.overlap,
+            --0 when there are no reviews yet, review_count tells the two apart
+            c.rating::FLOAT rating,
+            c.review_count,
+            --priorities in order first, then alphabetical
+            ARRAY(
+                SELECT s.name FROM users_skills us JOIN skills s ON s.id = us.skill_id
+                WHERE us.user_id = c.id AND us.is_teaching
+                ORDER BY us.teaching_rank NULLS LAST, s.name
+                LIMIT 3
+            ) top_teaching,
+            ARRAY(
+                SELECT s.name FROM users_skills us JOIN skills s ON s.id = us.skill_id
+                WHERE us.user_id = c.id AND us.is_learning
+                ORDER BY us.learning_rank NULLS LAST, s.name
+                LIMIT 3
+            ) top_learning,
+            --text keeps the full timestamp precision for the cursor
+            ${cursorText} cursor_value
+        FROM cards c
+        WHERE $6::TEXT IS NULL OR (c.${column}, c.id) < ($6::TEXT::${type}, $7::INTEGER)
+        ORDER BY c.${column} DESC, c.id DESC
+        LIMIT $8
+        `, [
+            req.user.id,
+            q && containsPattern(q),
+            skill,
+            category,
+            role,
+            cursor?.sortValue ?? null,
+            cursor?.id ?? null,
+            //one extra row tells us whether there is another page
+            limit + 1
+        ]
+    );
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    res.status(200).json({
+        users: rows.map(({ id, cursor_value, ...card }) => card),
+        nextCursor: hasMore ? encodeCursor(sort, last.cursor_value, last.id) : null
+    });
+}));
+
+//the current username for a link that may use an old one. renamedFrom is set when username was given up,
+//old names only lead anywhere for a while after the rename
+router.get('/usernames/:username', authenticateToken, validate({
+    params: { username: string({ label: 'Username' }) }
+}), asyncHandler(async(req, res) => {
+    const resolved = await resolveUsername(req.params.username);
+    if(!resolved || await isBlockedBetween(req.user.id, resolved.id)) {
+        throw notFound(`${req.params.username} does not exist`);
+    };
+    res.status(200).json({ username: resolved.username, renamedFrom: resolved.renamedFrom });
+}));
+
+export default router;